@@ -1,70 +1,237 @@
 // ABOUTME: Background service worker for FollowSaver extension
 // ABOUTME: Handles data storage, deduplication, and management of collected following and followers data
 
+importScripts('db.js', 'migrations.js', 'normalizer.js');
+
+// Canonical profiles of stored users are built from schema.json
+const normalizerReady = FollowSaverNormalizer.load(chrome.runtime.getURL('schema.json'));
+
 // Storage management constants
 const STORAGE_LIMITS = {
-    MAX_USERS_PER_ACCOUNT: 10000,     // Maximum users per account (following or followers)
-    MAX_TOTAL_USERS: 50000,           // Maximum total users across all accounts
-    MAX_STORAGE_BYTES: 5 * 1024 * 1024, // 5MB storage limit (Chrome's limit is ~10MB)
-    WARNING_THRESHOLD: 0.8             // Warn when 80% of limits reached
+    MAX_USAGE_RATIO: 0.95,            // Stop collecting when 95% of the browser quota is used
+    WARNING_THRESHOLD: 0.8            // Warn when 80% of the quota is used
 };
 
-// Get estimated storage size
-async function getStorageSize() {
-    try {
-        const data = await chrome.storage.local.get(null);
-        const jsonString = JSON.stringify(data);
-        return jsonString.length;
-    } catch (error) {
-        console.error('Error calculating storage size:', error);
-        return 0;
+// Upgrade stored data to the current storage version, then fold handle-keyed accounts that
+// differ only by case; everything that reads storage waits for it
+const storageReady = FollowSaverMigrations.ensureMigrated().then(mergeHandleCaseVariants);
+
+// Storage key of the collection a parsed page URL belongs to: its X List or post, or the resolved account
+async function resolvePageAccount(page, ownerId) {
+    if (page?.listId) return FollowSaverDB.listAccountKey(page.listId);
+    if (page?.postId) return FollowSaverDB.postAccountKey(page.postId);
+    return resolveAccount(page?.handle || 'unknown', ownerId);
+}
+
+// Look up the X user ID registered for a handle, ignoring case
+function findAccountIdByHandle(accountAliases, handle) {
+    const lowerHandle = handle.toLowerCase();
+    return Object.keys(accountAliases).find(accountId =>
+        accountAliases[accountId].handles.some(alias => alias.toLowerCase() === lowerHandle)
+    ) || null;
+}
+
+// Storage key for an account: its X user ID when known, otherwise the lowercased handle.
+// Learning an ID also records the handle as an alias and folds in any data stored under its handles.
+async function resolveAccount(handle, ownerId) {
+    const result = await chrome.storage.local.get(['accountAliases']);
+    const accountAliases = result.accountAliases || {};
+    
+    if (!ownerId) {
+        return findAccountIdByHandle(accountAliases, handle) || handle.toLowerCase();
+    }
+    
+    const alias = accountAliases[ownerId] || { handle: handle, handles: [] };
+    const isKnownHandle = alias.handles.some(knownHandle => knownHandle.toLowerCase() === handle.toLowerCase());
+    
+    if (!accountAliases[ownerId] || alias.handle !== handle || !isKnownHandle) {
+        alias.handle = handle;
+        if (!isKnownHandle) alias.handles.push(handle);
+        accountAliases[ownerId] = alias;
+        await chrome.storage.local.set({ accountAliases });
+        console.log(`FollowSaver: @${handle} resolved to X user ID ${ownerId}`);
+    }
+    
+    // Merge data still keyed by any handle of this account (any letter case)
+    const lowerHandles = alias.handles.map(knownHandle => knownHandle.toLowerCase());
+    const legacyAccounts = (await FollowSaverDB.getAccounts()).filter(account =>
+        account !== ownerId && !accountAliases[account] && lowerHandles.includes(account.toLowerCase())
+    );
+    for (const legacyAccount of legacyAccounts) {
+        await mergeAccountData(legacyAccount, ownerId);
     }
+    
+    return ownerId;
 }
 
-// Check if storage limits would be exceeded
-async function checkStorageLimits(targetUser, pageType, newUsersCount) {
-    const result = await chrome.storage.local.get(['userData']);
-    const existingData = result.userData || {};
+// Move every record of one account key onto another, keeping the most recently seen copy of each user
+async function mergeAccountData(fromAccount, toAccount) {
+    const { STORES, promisify } = FollowSaverDB;
+    let movedUsers = 0;
     
-    // Check per-account limit
-    const currentAccountUsers = existingData[targetUser]?.[pageType] 
-        ? Object.keys(existingData[targetUser][pageType]).length 
-        : 0;
+    await FollowSaverDB.run([STORES.USERS, STORES.SNAPSHOTS], 'readwrite', async tx => {
+        const usersStore = tx.objectStore(STORES.USERS);
+        const records = await promisify(usersStore.index('account').getAll(fromAccount));
+        
+        for (const record of records) {
+            const existing = await promisify(usersStore.get([toAccount, record.listType, record.id]));
+            const [older, newer] = existing && existing.lastSeen > record.lastSeen ? [record, existing] : [existing, record];
+            const firstSeen = [existing?.firstSeen, record.firstSeen].filter(Boolean).sort()[0];
+            
+            usersStore.put({ ...older, ...newer, account: toAccount, firstSeen });
+            usersStore.delete([fromAccount, record.listType, record.id]);
+            movedUsers++;
+        }
+        
+        const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+        const snapshots = await promisify(snapshotsStore.index('account').getAll(fromAccount));
+        snapshots.forEach(snapshot => snapshotsStore.put({ ...snapshot, account: toAccount }));
+    });
     
-    if (currentAccountUsers + newUsersCount > STORAGE_LIMITS.MAX_USERS_PER_ACCOUNT) {
-        console.warn(`FollowSaver: Approaching account limit for @${targetUser} ${pageType}`);
-        return {
-            allowed: false,
-            reason: `Account limit reached (${STORAGE_LIMITS.MAX_USERS_PER_ACCOUNT} users max)`
-        };
+    // Keep the latest collection time of each list
+    const result = await chrome.storage.local.get(['lastUpdated']);
+    const lastUpdated = result.lastUpdated || {};
+    if (lastUpdated[fromAccount]) {
+        lastUpdated[toAccount] = lastUpdated[toAccount] || {};
+        for (const listType in lastUpdated[fromAccount]) {
+            if (!lastUpdated[toAccount][listType] || lastUpdated[fromAccount][listType] > lastUpdated[toAccount][listType]) {
+                lastUpdated[toAccount][listType] = lastUpdated[fromAccount][listType];
+            }
+        }
+        delete lastUpdated[fromAccount];
+        await chrome.storage.local.set({ lastUpdated });
     }
     
-    // Check total users limit
-    let totalUsers = 0;
-    for (const user in existingData) {
-        totalUsers += Object.keys(existingData[user].following || {}).length;
-        totalUsers += Object.keys(existingData[user].followers || {}).length;
+    // Keep the pass counts of both keys
+    const { passCounts } = await chrome.storage.local.get(['passCounts']);
+    if (passCounts?.[fromAccount]) {
+        passCounts[toAccount] = passCounts[toAccount] || {};
+        for (const listType in passCounts[fromAccount]) {
+            passCounts[toAccount][listType] = [...(passCounts[toAccount][listType] || []), ...passCounts[fromAccount][listType]]
+                .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+        }
+        delete passCounts[fromAccount];
+        await chrome.storage.local.set({ passCounts });
     }
     
-    if (totalUsers + newUsersCount > STORAGE_LIMITS.MAX_TOTAL_USERS) {
-        console.warn('FollowSaver: Approaching total storage limit');
-        return {
-            allowed: false,
-            reason: `Total storage limit reached (${STORAGE_LIMITS.MAX_TOTAL_USERS} users max)`
+    // Carry over a retention policy set while the account was keyed by handle
+    const retentionPolicies = await getRetentionPolicies();
+    if (retentionPolicies[fromAccount]) {
+        retentionPolicies[toAccount] = retentionPolicies[toAccount] || retentionPolicies[fromAccount];
+        delete retentionPolicies[fromAccount];
+        await chrome.storage.local.set({ retentionPolicies });
+    }
+    
+    console.log(`FollowSaver: Merged ${movedUsers} users from "${fromAccount}" into "${toAccount}"`);
+}
+
+// Fold handle-keyed accounts that differ only by letter case into one lowercased key
+async function mergeHandleCaseVariants() {
+    try {
+        const result = await chrome.storage.local.get(['accountAliases']);
+        const accountAliases = result.accountAliases || {};
+        
+        for (const account of await FollowSaverDB.getAccounts()) {
+            if (accountAliases[account]) continue;
+            
+            const targetAccount = findAccountIdByHandle(accountAliases, account) || account.toLowerCase();
+            if (targetAccount !== account) {
+                await mergeAccountData(account, targetAccount);
+            }
+        }
+    } catch (error) {
+        console.error('FollowSaver: Error merging account handles:', error);
+    }
+}
+
+// Remember the follower and following totals X reports for an account's profile
+async function recordAccountProfile(profile) {
+    try {
+        await storageReady;
+        if (!profile?.ownerId || !profile.handle) return;
+        
+        await resolveAccount(profile.handle, profile.ownerId);
+        
+        const result = await chrome.storage.local.get(['accountAliases']);
+        const accountAliases = result.accountAliases || {};
+        accountAliases[profile.ownerId] = {
+            ...accountAliases[profile.ownerId],
+            followersCount: profile.followersCount,
+            followingCount: profile.followingCount,
+            countsUpdatedAt: new Date().toISOString()
         };
+        await chrome.storage.local.set({ accountAliases });
+    } catch (error) {
+        console.error('Error recording account profile:', error);
     }
+}
+
+// Remember an X List's name, owner and totals so its collections can be labelled and sized
+async function recordListProfile(profile) {
+    try {
+        await storageReady;
+        if (!profile?.listId) return;
+        
+        const result = await chrome.storage.local.get(['listProfiles']);
+        const listProfiles = result.listProfiles || {};
+        listProfiles[profile.listId] = {
+            ...listProfiles[profile.listId],
+            ...profile,
+            updatedAt: new Date().toISOString()
+        };
+        await chrome.storage.local.set({ listProfiles });
+    } catch (error) {
+        console.error('Error recording list profile:', error);
+    }
+}
+
+// Remember who wrote a post whose likers or reposters are collected
+async function recordPostProfile(page) {
+    const result = await chrome.storage.local.get(['postProfiles']);
+    const postProfiles = result.postProfiles || {};
+    if (postProfiles[page.postId]?.authorHandle === page.handle) return;
+    
+    postProfiles[page.postId] = {
+        ...postProfiles[page.postId],
+        postId: page.postId,
+        authorHandle: page.handle,
+        url: `https://x.com/${page.handle}/status/${page.postId}`
+    };
+    await chrome.storage.local.set({ postProfiles });
+}
+
+// How many of a post's likers and reposters are among its author's collected followers,
+// or null while no followers of the author have been collected
+async function countFollowersEngaged(postAccount, authorHandle, accountAliases) {
+    const authorAccount = findAccountIdByHandle(accountAliases, authorHandle) || authorHandle.toLowerCase();
+    const followerIds = new Set(await FollowSaverDB.getUserIds(authorAccount, 'followers'));
+    if (followerIds.size === 0) return null;
     
-    // Check storage size limit
-    const currentSize = await getStorageSize();
-    if (currentSize > STORAGE_LIMITS.MAX_STORAGE_BYTES * STORAGE_LIMITS.WARNING_THRESHOLD) {
-        console.warn(`FollowSaver: Storage size warning: ${(currentSize / 1024 / 1024).toFixed(2)}MB used`);
+    const engagedIds = await Promise.all(
+        FollowSaverDB.getListTypes(postAccount).map(listType => FollowSaverDB.getUserIds(postAccount, listType))
+    );
+    return new Set(engagedIds.flat().filter(userId => followerIds.has(userId))).size;
+}
+
+// Check if the browser storage quota would be exceeded
+async function checkStorageLimits() {
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        if (!quota) return { allowed: true };
         
-        if (currentSize > STORAGE_LIMITS.MAX_STORAGE_BYTES) {
+        const usageRatio = usage / quota;
+        if (usageRatio > STORAGE_LIMITS.WARNING_THRESHOLD) {
+            console.warn(`FollowSaver: Storage size warning: ${(usage / 1024 / 1024).toFixed(2)}MB of ${(quota / 1024 / 1024).toFixed(0)}MB used`);
+        }
+        
+        if (usageRatio > STORAGE_LIMITS.MAX_USAGE_RATIO) {
             return {
                 allowed: false,
-                reason: 'Storage size limit reached (5MB max)'
+                reason: `Browser storage almost full (${(usage / 1024 / 1024).toFixed(0)}MB used)`
             };
         }
+    } catch (error) {
+        console.error('Error estimating storage usage:', error);
     }
     
     return { allowed: true };
@@ -72,7 +239,16 @@ async function checkStorageLimits(targetUser, pageType, newUsersCount) {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'STORE_USER_DATA') {
-        storeUserData(message.users, message.url, message.dataType);
+        queueUserData(message.users, message.url, message.dataType, message.passId, message.ownerId, message.pagination, message.responseId, message.diagnostics).then(result => {
+            sendResponse(result);
+        });
+        return true;
+    } else if (message.type === 'ACCOUNT_PROFILE') {
+        // Serialized with user writes since both update the account alias registry
+        writeChain = writeChain.then(() => recordAccountProfile(message.profile));
+        sendResponse({ success: true });
+    } else if (message.type === 'LIST_PROFILE') {
+        writeChain = writeChain.then(() => recordListProfile(message.profile));
         sendResponse({ success: true });
     } else if (message.type === 'GET_USER_DATA') {
         getUserData().then(data => {
@@ -85,25 +261,253 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
         return true;
     } else if (message.type === 'PAGE_TYPE_UPDATE') {
-        updateBadgeForPageType(message.pageType, message.url, sender.tab.id);
+        if (message.pageType) {
+            updateBadgeForPageType(message.pageType, message.url, sender.tab.id);
+        } else {
+            // Navigated away from a list inside the app
+            delete autoCollectByTab[sender.tab.id];
+            updateNotificationBadge(sender.tab.id);
+            updateTabTitle(sender.tab.id, null);
+        }
+        if (message.autoCollect) {
+            autoCollectByTab[sender.tab.id] = message.autoCollect;
+            updateTabTitle(sender.tab.id, message.pageType);
+        }
+        sendResponse({ success: true });
+    } else if (message.type === 'RATE_LIMIT_UPDATE') {
+        recordRateLimit(message.rateLimit).then(() => {
+            updateTabTitle(sender.tab.id, message.pageType);
+            sendResponse({ success: true });
+        });
+        return true;
+    } else if (message.type === 'GET_RATE_LIMITS') {
+        getRateLimits().then(rateLimits => {
+            sendResponse({ rateLimits });
+        });
+        return true;
+    } else if (message.type === 'SET_RETENTION_POLICY') {
+        writeChain = writeChain.then(() => setRetentionPolicy(message.account, message.policy)).then(result => {
+            sendResponse(result);
+        });
+        return true;
+    } else if (message.type === 'IMPORT_COLLECTION') {
+        writeChain = writeChain.then(() => importCollection(message.collection)).then(result => {
+            sendResponse(result);
+        });
+        return true;
+    } else if (message.type === 'BACKUP_RESTORED') {
+        // The data page restores archives itself; the badges then follow the restored data
+        updateNotificationBadges();
         sendResponse({ success: true });
+    } else if (message.type === 'GET_MIGRATION_STATUS') {
+        storageReady.then(() => FollowSaverMigrations.getStatus()).then(migrationStatus => {
+            sendResponse({ migrationStatus });
+        });
+        return true;
+    } else if (message.type === 'GET_SCHEMA_DRIFT') {
+        getSchemaDrift().then(schemaDrift => {
+            sendResponse({ schemaDrift });
+        });
+        return true;
+    } else if (message.type === 'DISMISS_SCHEMA_DRIFT') {
+        // Serialized with user writes, which update the same record
+        writeChain = writeChain.then(dismissSchemaDrift).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    } else if (message.type === 'GET_SEGMENTS') {
+        getSegments().then(segments => {
+            sendResponse({ segments });
+        });
+        return true;
+    } else if (message.type === 'SAVE_SEGMENT') {
+        writeChain = writeChain.then(() => saveSegment(message.name, message.query)).then(result => {
+            sendResponse(result);
+        });
+        return true;
+    } else if (message.type === 'DELETE_SEGMENT') {
+        writeChain = writeChain.then(() => deleteSegment(message.name)).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
     } else if (message.type === 'RECORD_VIEW_STATE') {
         recordViewState().then(() => {
             sendResponse({ success: true });
         });
         return true;
+    } else if (message.type === 'GET_SNAPSHOTS') {
+        getSnapshots(message.account).then(snapshots => {
+            sendResponse({ snapshots });
+        });
+        return true;
+    } else if (message.type === 'GET_SNAPSHOT') {
+        getSnapshot(message.snapshotId).then(snapshot => {
+            sendResponse({ snapshot });
+        });
+        return true;
+    } else if (message.type === 'COMPARE_SNAPSHOTS') {
+        compareSnapshots(message.baseId, message.targetId).then(comparison => {
+            sendResponse({ comparison });
+        });
+        return true;
+    } else if (message.type === 'GET_CHANGE_REPORT') {
+        getChangeReport(message.account).then(report => {
+            sendResponse({ report });
+        });
+        return true;
+    } else if (message.type === 'GET_PROFILE_HISTORY') {
+        getProfileHistory(message.account).then(history => {
+            sendResponse({ history });
+        });
+        return true;
+    } else if (message.type === 'GET_PASS_COUNTS') {
+        getPassCounts(message.account).then(passCounts => {
+            sendResponse({ passCounts });
+        });
+        return true;
+    } else if (message.type === 'DELETE_SNAPSHOT') {
+        deleteSnapshot(message.snapshotId).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+});
+
+// Serialized write queue: STORE_USER_DATA batches are applied one at a time, in arrival order
+const WRITE_QUEUE_DELAY_MS = 250; // Collect messages arriving close together into one write
+const writeQueue = [];
+let writeQueueTimer = null;
+let writeChain = Promise.resolve();
+
+// Queue a batch and resolve with how many of its users were added versus updated
+function queueUserData(users, url, dataType, passId, ownerId, pagination, responseId, diagnostics) {
+    return new Promise(resolve => {
+        writeQueue.push({ users: users || [], url, dataType, passId, ownerId, pagination, responseId, diagnostics, resolve });
+        
+        if (!writeQueueTimer) {
+            writeQueueTimer = setTimeout(flushWriteQueue, WRITE_QUEUE_DELAY_MS);
+        }
+    });
+}
+
+// Hand every pending batch to the write chain; resolves once they are all stored
+function flushWriteQueue() {
+    clearTimeout(writeQueueTimer);
+    writeQueueTimer = null;
+    
+    const jobs = writeQueue.splice(0);
+    if (jobs.length > 0) {
+        writeChain = writeChain.then(() => applyQueuedWrites(jobs));
+    }
+    
+    return writeChain;
+}
+
+async function applyQueuedWrites(jobs) {
+    // Group consecutive batches from the same page and pass so they share one transaction
+    const groups = [];
+    jobs.forEach(job => {
+        const lastGroup = groups[groups.length - 1];
+        if (lastGroup && lastGroup.url === job.url && lastGroup.dataType === job.dataType &&
+            lastGroup.passId === job.passId && lastGroup.ownerId === job.ownerId) {
+            lastGroup.jobs.push(job);
+        } else {
+            groups.push({ url: job.url, dataType: job.dataType, passId: job.passId, ownerId: job.ownerId, jobs: [job] });
+        }
+    });
+    
+    for (const group of groups) {
+        // Keep the first top cursor and the last bottom cursor; any batch reaching the end completes the pass
+        const paginations = group.jobs.map(job => job.pagination).filter(Boolean);
+        const pagination = paginations.length === 0 ? null : {
+            topCursor: paginations.find(p => p.topCursor)?.topCursor || null,
+            bottomCursor: paginations.filter(p => p.bottomCursor).pop()?.bottomCursor || null,
+            reachedEnd: paginations.some(p => p.reachedEnd)
+        };
+        
+        const result = await storeUserData(group.jobs.flatMap(job => job.users), group.url, group.dataType, group.passId, group.ownerId, pagination);
+        const addedIds = new Set(result.addedIds);
+        const responses = [];
+        
+        // Attribute each new user to the first batch that carried it
+        group.jobs.forEach(job => {
+            let added = 0;
+            let updated = 0;
+            
+            if (result.success) {
+                job.users.forEach(user => {
+                    if (!user?.id) return;
+                    if (addedIds.delete(user.id)) {
+                        added++;
+                    } else {
+                        updated++;
+                    }
+                });
+            }
+            
+            if (job.responseId) {
+                responses.push({ responseId: job.responseId, counters: job.diagnostics, stored: added + updated });
+            }
+            
+            job.resolve({ success: result.success, added, updated });
+        });
+        
+        if (group.passId && responses.length > 0) {
+            await recordPassDiagnostics(group.passId, responses);
+        }
     }
+}
+
+// Add the counters of each intercepted response, and how many of its users were stored,
+// to the snapshot of its collection pass
+async function recordPassDiagnostics(passId, responses) {
+    try {
+        const { STORES, promisify } = FollowSaverDB;
+        await FollowSaverDB.run([STORES.SNAPSHOTS], 'readwrite', async tx => {
+            const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+            const snapshot = await promisify(snapshotsStore.get(passId));
+            if (!snapshot) return;
+            
+            snapshot.diagnostics = snapshot.diagnostics || { responses: [] };
+            responses.forEach(({ responseId, counters, stored }) => {
+                let record = snapshot.diagnostics.responses.find(response => response.responseId === responseId);
+                if (!record) {
+                    record = { responseId, usersStored: 0 };
+                    snapshot.diagnostics.responses.push(record);
+                }
+                
+                // A response's users can arrive in several chunks; only the last one carries its counters
+                const usersStored = record.usersStored + stored;
+                Object.assign(record, counters || {}, { responseId, usersStored });
+            });
+            
+            snapshotsStore.put(snapshot);
+        });
+    } catch (error) {
+        console.error('Error recording pass diagnostics:', error);
+    }
+}
+
+// Write pending batches before Chrome suspends the service worker
+chrome.runtime.onSuspend.addListener(() => {
+    console.log('FollowSaver: Service worker suspending, flushing write queue');
+    flushWriteQueue();
 });
 
-async function storeUserData(newUsers, url, dataType) {
+async function storeUserData(newUsers, url, dataType, passId, ownerId, pagination) {
     try {
-        // Extract username and type from URL first for limit checking
-        const urlMatch = url.match(/x\.com\/([^\/]+)\/(following|followers)/);
-        const targetUser = urlMatch ? urlMatch[1] : 'unknown';
-        const pageType = urlMatch ? urlMatch[2] : dataType;
+        await storageReady;
+        
+        // Extract username and type from URL, then key the data by the owner's X user ID when known
+        const page = FollowSaverDB.parseCollectionUrl(url);
+        const targetUser = await resolvePageAccount(page, ownerId);
+        const pageType = page ? page.listType : dataType;
+        if (page?.postId) {
+            await recordPostProfile(page);
+        }
         
         // Check storage limits before processing
-        const limitsCheck = await checkStorageLimits(targetUser, pageType, newUsers.length);
+        const limitsCheck = await checkStorageLimits();
         if (!limitsCheck.allowed) {
             console.error(`FollowSaver: Storage limit exceeded - ${limitsCheck.reason}`);
             // Notify user about storage limit via badge
@@ -112,27 +516,9 @@ async function storeUserData(newUsers, url, dataType) {
             chrome.action.setTitle({ 
                 title: `FollowSaver: ${limitsCheck.reason}. Please export and clear data.` 
             });
-            return; // Stop storing new data
-        }
-        
-        // Get existing data
-        const result = await chrome.storage.local.get(['userData', 'lastUpdated', 'viewingState']);
-        const existingData = result.userData || {};
-        const lastUpdated = result.lastUpdated || {};
-        const viewingState = result.viewingState || { lastViewedAt: null, lastViewedCounts: {} };
-        
-        // Initialize data structure for this user if it doesn't exist
-        if (!existingData[targetUser]) {
-            existingData[targetUser] = {
-                following: {},
-                followers: {}
-            };
+            return { success: false, addedIds: [] }; // Stop storing new data
         }
         
-        // Ensure both following and followers objects exist
-        if (!existingData[targetUser].following) existingData[targetUser].following = {};
-        if (!existingData[targetUser].followers) existingData[targetUser].followers = {};
-        
         // Filter and validate new users before storing
         const validUsers = newUsers.filter(user => {
             // Validate user data structure
@@ -143,37 +529,79 @@ async function storeUserData(newUsers, url, dataType) {
             return true;
         });
         
-        // Merge new users with existing data (deduplicate by user ID)
-        validUsers.forEach(user => {
-            // Defensive data merging with validation
-            try {
-                existingData[targetUser][pageType][user.id] = {
-                    ...existingData[targetUser][pageType][user.id], // Keep existing data
-                    ...user, // Overwrite with new data
-                    lastSeen: new Date().toISOString()
-                };
-            } catch (mergeError) {
-                console.error('FollowSaver: Error merging user data:', mergeError);
+        // Attach the canonical profile to every user and note where the payloads drift from schema.json
+        await normalizerReady;
+        const drift = { unknownPaths: {}, missingPaths: {} };
+        const profiledUsers = validUsers.map(user => {
+            const normalized = FollowSaverNormalizer.normalize(user.rawData);
+            normalized.drift.unknownPaths.forEach(path => {
+                drift.unknownPaths[path] = (drift.unknownPaths[path] || 0) + 1;
+            });
+            normalized.drift.missingPaths.forEach(path => {
+                drift.missingPaths[path] = (drift.missingPaths[path] || 0) + 1;
+            });
+            return { ...user, profile: normalized.profile };
+        });
+        
+        const now = new Date().toISOString();
+        const { STORES, promisify } = FollowSaverDB;
+        const addedIds = [];
+        
+        // Merge new users with existing edges (deduplicate by user ID) in a single transaction;
+        // the profile is stored once per user and shared by every list it appears in
+        await FollowSaverDB.run([STORES.USERS, STORES.PROFILES, STORES.PROFILE_HISTORY, STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS], 'readwrite', async tx => {
+            const usersStore = tx.objectStore(STORES.USERS);
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const historyStore = tx.objectStore(STORES.PROFILE_HISTORY);
+            
+            for (const user of profiledUsers) {
+                // Defensive data merging with validation
+                try {
+                    const existing = await promisify(usersStore.get([targetUser, pageType, user.id]));
+                    const history = await promisify(historyStore.get(user.id));
+                    historyStore.put(recordProfileChanges(history, user));
+                    
+                    if (!existing) addedIds.push(user.id);
+                    
+                    const { edge, profile } = FollowSaverDB.splitUserRecord({
+                        ...existing, // Keep existing data
+                        ...user, // Overwrite with new data
+                        account: targetUser,
+                        listType: pageType,
+                        firstSeen: existing?.firstSeen || now,
+                        lastSeen: now,
+                        archivedAt: null // Seen again, so no longer archived
+                    }, now);
+                    usersStore.put(edge);
+                    profilesStore.put(profile);
+                } catch (mergeError) {
+                    console.error('FollowSaver: Error merging user data:', mergeError);
+                }
+            }
+            
+            // Add this batch to the dated snapshot of the current collection pass
+            if (passId) {
+                await recordSnapshotUsers(tx, passId, targetUser, pageType, profiledUsers, pagination, now);
             }
         });
         
+        await recordSchemaDrift(drift, now);
+        
+        // Keep this pass's counts for the growth charts
+        if (passId) {
+            await recordPassCount(targetUser, pageType, passId, addedIds.length, now);
+        }
+        
         // Update last collection timestamp for this user and data type
+        const result = await chrome.storage.local.get(['lastUpdated']);
+        const lastUpdated = result.lastUpdated || {};
         if (!lastUpdated[targetUser]) lastUpdated[targetUser] = {};
-        lastUpdated[targetUser][pageType] = new Date().toISOString();
-        
-        // Store updated data with error handling
-        await chrome.storage.local.set({
-            userData: existingData,
-            lastUpdated: lastUpdated,
-            viewingState: viewingState
-        }).catch(error => {
-            console.error('FollowSaver: Chrome storage error:', error);
-            throw error;
-        });
+        lastUpdated[targetUser][pageType] = now;
+        await chrome.storage.local.set({ lastUpdated });
         
         // Log storage info
-        const userCount = Object.keys(existingData[targetUser][pageType]).length;
-        console.log(`Background: Stored ${newUsers.length} new ${pageType} users for @${targetUser}. Total: ${userCount} ${pageType} users.`);
+        const userCount = await FollowSaverDB.countUsers(targetUser, pageType);
+        console.log(`Background: Stored ${addedIds.length} new and ${validUsers.length - addedIds.length} updated ${pageType} users for @${targetUser}. Total: ${userCount} ${pageType} users.`);
         
         // Update badge for all tabs currently viewing this user's page
         updateBadgeForUser(targetUser, pageType);
@@ -181,69 +609,791 @@ async function storeUserData(newUsers, url, dataType) {
         // Update notification badges for other tabs
         updateNotificationBadges();
         
+        return { success: true, addedIds };
+        
     } catch (error) {
         console.error('Error storing user data:', error);
+        return { success: false, addedIds: [] };
+    }
+}
+
+// Profile fields tracked in the per-user change log
+const TRACKED_PROFILE_FIELDS = ['handle', 'displayName', 'bio', 'location', 'url', 'avatar'];
+
+// Pull the tracked fields out of a canonical profile; undefined means not present in this payload
+function extractProfileFields(profile) {
+    return {
+        handle: profile.handle ?? undefined,
+        displayName: profile.displayName ?? undefined,
+        bio: profile.bio ?? undefined,
+        location: profile.location ?? undefined,
+        url: profile.website ?? undefined,
+        avatar: profile.avatar ?? undefined
+    };
+}
+
+// Compare a user's incoming profile with the last known one and return the updated change log
+function recordProfileChanges(entry, user) {
+    const fields = extractProfileFields(user.profile);
+    
+    if (!entry) {
+        return { id: user.id, current: fields, changes: [] };
+    }
+    
+    const changes = {};
+    TRACKED_PROFILE_FIELDS.forEach(field => {
+        if (fields[field] === undefined) return;
+        if (entry.current[field] !== undefined && entry.current[field] !== fields[field]) {
+            changes[field] = { from: entry.current[field], to: fields[field] };
+        }
+        entry.current[field] = fields[field];
+    });
+    
+    if (Object.keys(changes).length > 0) {
+        entry.changes.push({ changedAt: new Date().toISOString(), changes });
     }
+    
+    return entry;
 }
 
-// Clean up old data to manage memory
-async function cleanupOldData(daysToKeep = 30) {
+// Change logs of every user collected for an account that has changed at least once
+async function getProfileHistory(account) {
     try {
-        const result = await chrome.storage.local.get(['userData', 'lastUpdated']);
-        const userData = result.userData || {};
-        const lastUpdated = result.lastUpdated || {};
+        await storageReady;
         
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-        const cutoffISO = cutoffDate.toISOString();
-        
-        let removedCount = 0;
-        
-        // Clean up old user data
-        for (const account in userData) {
-            for (const type in userData[account]) {
-                if (type === 'following' || type === 'followers') {
-                    for (const userId in userData[account][type]) {
-                        const userEntry = userData[account][type][userId];
-                        // Remove entries older than cutoff date
-                        if (userEntry.lastSeen && userEntry.lastSeen < cutoffISO) {
-                            delete userData[account][type][userId];
-                            removedCount++;
-                        }
-                    }
+        const listUserIds = await Promise.all(
+            FollowSaverDB.getListTypes(account).map(listType => FollowSaverDB.getUserIds(account, listType))
+        );
+        const userIds = new Set(listUserIds.flat());
+        
+        const { STORES } = FollowSaverDB;
+        return await FollowSaverDB.run([STORES.PROFILE_HISTORY], 'readonly', tx => new Promise((resolve, reject) => {
+            const history = {};
+            const request = tx.objectStore(STORES.PROFILE_HISTORY).openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(history);
+                    return;
                 }
+                const { id, ...entry } = cursor.value;
+                if (entry.changes.length > 0 && userIds.has(id)) {
+                    history[id] = entry;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    } catch (error) {
+        console.error('Error getting profile history:', error);
+        return {};
+    }
+}
+
+// Add users to the snapshot for a collection pass, creating it on the first batch.
+// The pass is marked complete once a batch reports the end of the list. `now` is the time the
+// batch's users were marked as seen, so a pass starts exactly when its first users were seen.
+async function recordSnapshotUsers(tx, passId, account, listType, users, pagination, now) {
+    const { STORES, promisify } = FollowSaverDB;
+    const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+    const snapshotUsersStore = tx.objectStore(STORES.SNAPSHOT_USERS);
+    
+    const snapshot = await promisify(snapshotsStore.get(passId)) || {
+        id: passId,
+        account: account,
+        listType: listType,
+        startedAt: now,
+        endedAt: now,
+        complete: false,
+        completedAt: null,
+        userCount: 0,
+        cursors: { top: null, bottom: null }
+    };
+    
+    users.forEach(user => snapshotUsersStore.put({ snapshotId: passId, userId: user.id }));
+    
+    snapshot.endedAt = now;
+    snapshot.userCount = await promisify(snapshotUsersStore.index('snapshotId').count(passId));
+    
+    if (pagination) {
+        snapshot.cursors = snapshot.cursors || { top: null, bottom: null };
+        snapshot.cursors.top = snapshot.cursors.top || pagination.topCursor;
+        snapshot.cursors.bottom = pagination.bottomCursor || snapshot.cursors.bottom;
+        
+        if (pagination.reachedEnd && !snapshot.complete) {
+            snapshot.complete = true;
+            snapshot.completedAt = now;
+            console.log(`Background: ${listType} pass ${passId} complete with ${snapshot.userCount} users`);
+        }
+    }
+    
+    snapshotsStore.put(snapshot);
+}
+
+// Counts kept per list, oldest passes dropped first
+const MAX_PASS_COUNTS = 1000;
+
+// Record a list's counts after each batch of a collection pass: users seen in the pass, the total X
+// reports for the account, users new to the list (null on the list's first pass, when everyone is
+// new) and, once the pass completes, users seen in the previous complete pass but not in this one
+async function recordPassCount(account, listType, passId, addedCount, recordedAt) {
+    try {
+        const { STORES, promisify } = FollowSaverDB;
+        const [snapshot, accountSnapshots] = await FollowSaverDB.run([STORES.SNAPSHOTS], 'readonly', tx => {
+            const store = tx.objectStore(STORES.SNAPSHOTS);
+            return Promise.all([promisify(store.get(passId)), promisify(store.index('account').getAll(account))]);
+        });
+        if (!snapshot) return;
+        
+        const result = await chrome.storage.local.get(['passCounts', 'accountAliases']);
+        const passCounts = result.passCounts || {};
+        passCounts[account] = passCounts[account] || {};
+        const entries = passCounts[account][listType] = passCounts[account][listType] || [];
+        
+        let entry = entries.find(candidate => candidate.passId === passId);
+        if (!entry) {
+            // Everyone on a list's first pass is new to us, not gained
+            const isFirstPass = !accountSnapshots.some(candidate => candidate.listType === listType && candidate.startedAt < snapshot.startedAt) &&
+                !entries.some(candidate => candidate.startedAt < snapshot.startedAt);
+            entry = { passId, startedAt: snapshot.startedAt, recordedAt, complete: false, seen: 0, reported: null, gained: isFirstPass ? null : 0, lost: null };
+            entries.push(entry);
+            entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+        }
+        
+        // Profile totals X reports; other lists have no published count
+        const reportedCounts = {
+            following: result.accountAliases?.[account]?.followingCount,
+            followers: result.accountAliases?.[account]?.followersCount
+        };
+        entry.recordedAt = recordedAt;
+        entry.seen = snapshot.userCount;
+        entry.reported = reportedCounts[listType] ?? entry.reported;
+        if (entry.gained !== null) entry.gained += addedCount;
+        
+        // Users last seen between the previous complete pass and this one have left the list
+        if (snapshot.complete && !entry.complete) {
+            entry.complete = true;
+            const previous = entries.filter(candidate => candidate.complete && candidate.startedAt < entry.startedAt).pop();
+            if (previous) {
+                // The two counts are read apart, so users seen again in between could skew them below zero
+                entry.lost = Math.max(0, await FollowSaverDB.countUsersSeenBefore(account, listType, entry.startedAt)
+                    - await FollowSaverDB.countUsersSeenBefore(account, listType, previous.startedAt));
             }
         }
         
-        if (removedCount > 0) {
-            await chrome.storage.local.set({ userData, lastUpdated });
-            console.log(`FollowSaver: Cleaned up ${removedCount} old entries`);
+        entries.splice(0, Math.max(0, entries.length - MAX_PASS_COUNTS));
+        await chrome.storage.local.set({ passCounts });
+    } catch (error) {
+        console.error('Error recording pass counts:', error);
+    }
+}
+
+// Recorded pass counts of an account, per list type, oldest first
+async function getPassCounts(account) {
+    try {
+        await storageReady;
+        const result = await chrome.storage.local.get(['passCounts']);
+        return result.passCounts?.[account] || {};
+    } catch (error) {
+        console.error('Error getting pass counts:', error);
+        return {};
+    }
+}
+
+// List snapshot metadata, newest first
+async function getSnapshots(account) {
+    try {
+        await storageReady;
+        
+        const { STORES, promisify } = FollowSaverDB;
+        const snapshots = await FollowSaverDB.run([STORES.SNAPSHOTS], 'readonly', tx => {
+            const store = tx.objectStore(STORES.SNAPSHOTS);
+            return promisify(account ? store.index('account').getAll(account) : store.getAll());
+        });
+        
+        return snapshots.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    } catch (error) {
+        console.error('Error getting snapshots:', error);
+        return [];
+    }
+}
+
+// Snapshot metadata plus the IDs of the users captured in it
+async function getSnapshotWithUserIds(tx, snapshotId) {
+    const { STORES, promisify } = FollowSaverDB;
+    const snapshot = await promisify(tx.objectStore(STORES.SNAPSHOTS).get(snapshotId));
+    if (!snapshot) return null;
+    
+    const keys = await promisify(tx.objectStore(STORES.SNAPSHOT_USERS).index('snapshotId').getAllKeys(snapshotId));
+    return { ...snapshot, userIds: keys.map(key => key[1]) };
+}
+
+// Load a snapshot together with the stored profile of every user in it
+async function getSnapshot(snapshotId) {
+    try {
+        await storageReady;
+        
+        const { STORES, promisify } = FollowSaverDB;
+        return await FollowSaverDB.run([STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS, STORES.PROFILES], 'readonly', async tx => {
+            const snapshot = await getSnapshotWithUserIds(tx, snapshotId);
+            if (!snapshot) return null;
+            
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const users = {};
+            for (const userId of snapshot.userIds) {
+                const profile = await promisify(profilesStore.get(userId));
+                users[userId] = profile?.rawData || null;
+            }
+            
+            return { ...snapshot, users };
+        });
+    } catch (error) {
+        console.error('Error getting snapshot:', error);
+        return null;
+    }
+}
+
+// Compare two snapshots of the same list; the older one is used as the base
+async function compareSnapshots(baseId, targetId) {
+    try {
+        await storageReady;
+        
+        const { STORES, promisify } = FollowSaverDB;
+        return await FollowSaverDB.run([STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS, STORES.USERS, STORES.PROFILES], 'readonly', async tx => {
+            let base = await getSnapshotWithUserIds(tx, baseId);
+            let target = await getSnapshotWithUserIds(tx, targetId);
+            
+            if (!base || !target) return null;
+            if (base.account !== target.account || base.listType !== target.listType) {
+                console.warn('FollowSaver: Cannot compare snapshots of different lists');
+                return null;
+            }
+            if (base.startedAt > target.startedAt) {
+                [base, target] = [target, base];
+            }
+            
+            const usersStore = tx.objectStore(STORES.USERS);
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const toEntries = async userIds => {
+                const entries = [];
+                for (const userId of userIds) {
+                    const record = await promisify(usersStore.get([base.account, base.listType, userId]));
+                    const profile = await promisify(profilesStore.get(userId));
+                    entries.push({
+                        userId,
+                        rawData: profile?.rawData || null,
+                        collectedAt: record?.collectedAt || record?.lastSeen || null
+                    });
+                }
+                return entries;
+            };
+            
+            const baseIds = new Set(base.userIds);
+            const targetIds = new Set(target.userIds);
+            const { userIds: baseUserIds, ...baseMeta } = base;
+            const { userIds: targetUserIds, ...targetMeta } = target;
+            
+            return {
+                account: base.account,
+                listType: base.listType,
+                base: baseMeta,
+                target: targetMeta,
+                added: await toEntries(targetUserIds.filter(userId => !baseIds.has(userId))),
+                removed: await toEntries(baseUserIds.filter(userId => !targetIds.has(userId)))
+            };
+        });
+    } catch (error) {
+        console.error('Error comparing snapshots:', error);
+        return null;
+    }
+}
+
+// Who followed, unfollowed or left the following list between the two latest complete passes.
+// A list with fewer than two has no report, since a partial pass would list everyone it missed as removed.
+async function getChangeReport(account) {
+    const report = { account, followers: null, following: null };
+    
+    try {
+        const snapshots = await getSnapshots(account);
+        
+        for (const listType of ['followers', 'following']) {
+            const [latest, previous] = snapshots.filter(snapshot => snapshot.listType === listType && snapshot.complete);
+            if (latest && previous) {
+                report[listType] = await compareSnapshots(previous.id, latest.id);
+            }
+        }
+    } catch (error) {
+        console.error('Error building change report:', error);
+    }
+    
+    return report;
+}
+
+async function deleteSnapshot(snapshotId) {
+    try {
+        await storageReady;
+        
+        const { STORES, promisify } = FollowSaverDB;
+        await FollowSaverDB.run([STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS], 'readwrite', async tx => {
+            tx.objectStore(STORES.SNAPSHOTS).delete(snapshotId);
+            const snapshotUsersStore = tx.objectStore(STORES.SNAPSHOT_USERS);
+            const keys = await promisify(snapshotUsersStore.index('snapshotId').getAllKeys(snapshotId));
+            keys.forEach(key => snapshotUsersStore.delete(key));
+        });
+        console.log(`Background: Deleted snapshot ${snapshotId}`);
+    } catch (error) {
+        console.error('Error deleting snapshot:', error);
+    }
+}
+
+// X handles: letters, digits and underscores, at most 15 of them
+const HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+function isValidHandle(handle) {
+    return typeof handle === 'string' && HANDLE_PATTERN.test(handle);
+}
+
+// An ISO time read from an import file, or null when the value is not a date
+function getImportedTime(value) {
+    return typeof value === 'string' && Date.parse(value) ? new Date(value).toISOString() : null;
+}
+
+// Storage key of an imported collection: the exported key of X Lists and posts, otherwise the
+// account resolved from the exported handle and X user ID. Null when the file names neither.
+async function resolveImportAccount(collection) {
+    if (/^(list|post):\d+$/.test(collection.accountId || '')) return collection.accountId;
+
+    const scoped = String(collection.accountHandle).match(/^(list|post)-(\d+)$/);
+    if (scoped) return `${scoped[1]}:${scoped[2]}`;
+    if (!isValidHandle(collection.accountHandle)) return null;
+
+    const ownerId = /^\d+$/.test(collection.accountId || '') ? collection.accountId : null;
+    return resolveAccount(collection.accountHandle, ownerId);
+}
+
+// The entries of an imported change log that have the shape recordProfileChanges writes;
+// anything else in the file is dropped rather than stored
+function getValidProfileChanges(importedChanges) {
+    if (!Array.isArray(importedChanges)) return [];
+
+    const isFieldValue = value => value === undefined || value === null || typeof value === 'string';
+    return importedChanges.flatMap(change => {
+        const changedAt = getImportedTime(change?.changedAt);
+        const fields = change?.changes && typeof change.changes === 'object' ? Object.entries(change.changes) : [];
+        const isValid = changedAt && fields.length > 0 && fields.every(([field, value]) =>
+            TRACKED_PROFILE_FIELDS.includes(field) && isFieldValue(value?.from) && isFieldValue(value?.to)
+        );
+        if (!isValid) return [];
+
+        const changes = Object.fromEntries(fields.map(([field, value]) => [field, { from: value.from, to: value.to }]));
+        return [{ changedAt, changes }];
+    });
+}
+
+// The pass details of a snapshot export worth keeping; counts and diagnostics are recomputed
+// or left out rather than taken from the file
+function getImportedSnapshotFields(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return {};
+
+    const fields = {};
+    ['startedAt', 'endedAt', 'completedAt'].forEach(field => {
+        const time = getImportedTime(snapshot[field]);
+        if (time) fields[field] = time;
+    });
+    if (typeof snapshot.complete === 'boolean') fields.complete = snapshot.complete;
+
+    const cursor = value => typeof value === 'string' ? value : null;
+    if (snapshot.cursors && typeof snapshot.cursors === 'object') {
+        fields.cursors = { top: cursor(snapshot.cursors.top), bottom: cursor(snapshot.cursors.bottom) };
+    }
+    return fields;
+}
+
+// Fold an imported user's change log into the stored one, ordered by time
+function mergeImportedProfileChanges(entry, user, importedChanges) {
+    if (!entry) {
+        return { id: user.id, current: extractProfileFields(user.profile), changes: [...importedChanges] };
+    }
+
+    const knownChanges = new Set(entry.changes.map(change => JSON.stringify(change)));
+    importedChanges.forEach(change => {
+        if (!knownChanges.has(JSON.stringify(change))) entry.changes.push(change);
+    });
+    entry.changes.sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+    return entry;
+}
+
+// A snapshot export's own pass ID, if it has the form content.js gives pass IDs of this list
+// type, so importing the same export twice updates one snapshot; anything else gets a new ID
+function getImportedSnapshotId(id, listType) {
+    if (typeof id !== 'string' || !id.startsWith(`${listType}-`)) return null;
+    return /^\d+-[a-z0-9]{1,6}$/.test(id.slice(listType.length + 1)) ? id : null;
+}
+
+// Merge a batch of users read from an export file into storage as a dated snapshot. Existing users
+// keep their earliest first-seen and latest last-seen time; a stored profile is only replaced by an
+// older-looking import when it came from a CSV itself, since CSV rows carry only the exported columns.
+async function importCollection(collection) {
+    const counts = { added: 0, updated: 0, rejected: 0 };
+    const users = collection?.users || [];
+
+    try {
+        await storageReady;
+        await normalizerReady;
+
+        const account = await resolveImportAccount(collection);
+        const listType = collection.listType;
+        if (!account || !FollowSaverDB.getListTypes(account).includes(listType) || !getImportedTime(collection.takenAt)) {
+            console.warn(`FollowSaver: Rejecting import of ${listType} for ${account}`);
+            return { success: false, ...counts, rejected: users.length };
+        }
+
+        const limitsCheck = await checkStorageLimits();
+        if (!limitsCheck.allowed) {
+            console.error(`FollowSaver: Import stopped - ${limitsCheck.reason}`);
+            return { success: false, ...counts, rejected: users.length, error: limitsCheck.reason };
+        }
+
+        const takenAt = getImportedTime(collection.takenAt);
+        const snapshotId = getImportedSnapshotId(collection.snapshot?.id, listType) || `import-${account}-${listType}-${takenAt}`;
+        const importedFrom = collection.rawProfiles ? 'json' : 'csv';
+        const { STORES, promisify } = FollowSaverDB;
+
+        await FollowSaverDB.run([STORES.USERS, STORES.PROFILES, STORES.PROFILE_HISTORY, STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS], 'readwrite', async tx => {
+            const usersStore = tx.objectStore(STORES.USERS);
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const historyStore = tx.objectStore(STORES.PROFILE_HISTORY);
+            const snapshotUsersStore = tx.objectStore(STORES.SNAPSHOT_USERS);
+
+            for (const importedUser of users) {
+                if (!importedUser || typeof importedUser.id !== 'string' || !/^\d+$/.test(importedUser.id) || !importedUser.rawData) {
+                    counts.rejected++;
+                    continue;
+                }
+
+                const user = {
+                    id: importedUser.id,
+                    rawData: importedUser.rawData,
+                    profile: FollowSaverNormalizer.normalize(importedUser.rawData).profile,
+                    firstSeen: getImportedTime(importedUser.firstSeen),
+                    lastSeen: getImportedTime(importedUser.lastSeen),
+                    archivedAt: getImportedTime(importedUser.archivedAt)
+                };
+                const seenAt = user.lastSeen || takenAt;
+                const existing = await promisify(usersStore.get([account, listType, user.id]));
+
+                // Times from the file only widen what is already known; being archived is kept
+                // from whichever side saw the user last
+                const importIsNewer = !existing || seenAt > existing.lastSeen;
+                const firstSeen = [existing?.firstSeen, user.firstSeen, takenAt].filter(Boolean).sort()[0];
+                const { edge } = FollowSaverDB.splitUserRecord({
+                    ...existing,
+                    id: user.id,
+                    account: account,
+                    listType: listType,
+                    collectedAt: existing?.collectedAt || takenAt,
+                    firstSeen: firstSeen,
+                    lastSeen: importIsNewer ? seenAt : existing.lastSeen,
+                    archivedAt: importIsNewer ? user.archivedAt || null : existing.archivedAt || null
+                }, seenAt);
+                usersStore.put(edge);
+                counts[existing ? 'updated' : 'added']++;
+
+                const storedProfile = await promisify(profilesStore.get(user.id));
+                const replacesProfile = !storedProfile || (seenAt > storedProfile.updatedAt &&
+                    (collection.rawProfiles || storedProfile.importedFrom === 'csv'));
+                if (replacesProfile) {
+                    profilesStore.put({ id: user.id, rawData: user.rawData, profile: user.profile, updatedAt: seenAt, importedFrom });
+                }
+
+                const history = await promisify(historyStore.get(user.id));
+                historyStore.put(mergeImportedProfileChanges(history, user, getValidProfileChanges(collection.profileHistory?.[user.id])));
+
+                snapshotUsersStore.put({ snapshotId, userId: user.id });
+            }
+
+            // Snapshot exports come back as the pass they were; other files become an incomplete
+            // pass dated to their export, since they hold everyone ever collected rather than one pass
+            const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+            const snapshot = await promisify(snapshotsStore.get(snapshotId)) || {
+                startedAt: takenAt,
+                endedAt: takenAt,
+                complete: false,
+                completedAt: null,
+                cursors: { top: null, bottom: null },
+                ...getImportedSnapshotFields(collection.snapshot),
+                id: snapshotId,
+                imported: { from: importedFrom, importedAt: new Date().toISOString() }
+            };
+            snapshot.account = account;
+            snapshot.listType = listType;
+            snapshot.userCount = await promisify(snapshotUsersStore.index('snapshotId').count(snapshotId));
+            snapshotsStore.put(snapshot);
+        });
+
+        // The collection counts as updated as of its export, unless it was collected later
+        const result = await chrome.storage.local.get(['lastUpdated', 'listProfiles', 'postProfiles']);
+        const lastUpdated = result.lastUpdated || {};
+        if (!lastUpdated[account]) lastUpdated[account] = {};
+        if (!lastUpdated[account][listType] || lastUpdated[account][listType] < takenAt) {
+            lastUpdated[account][listType] = takenAt;
+            await chrome.storage.local.set({ lastUpdated });
+        }
+
+        // List and post details are only filled in when none are stored, and only from well-formed values
+        const [scope, scopedId] = account.split(':');
+        const text = value => typeof value === 'string' ? value : undefined;
+        if (scope === 'list' && collection.list && !result.listProfiles?.[scopedId]) {
+            await recordListProfile({
+                listId: scopedId,
+                name: text(collection.list.name),
+                description: text(collection.list.description),
+                ownerId: /^\d+$/.test(collection.list.ownerId || '') ? collection.list.ownerId : undefined,
+                ownerHandle: isValidHandle(collection.list.ownerHandle) ? collection.list.ownerHandle : undefined
+            });
+        } else if (scope === 'post' && isValidHandle(collection.post?.authorHandle) && !result.postProfiles?.[scopedId]) {
+            await recordPostProfile({ postId: scopedId, handle: collection.post.authorHandle });
+        }
+
+        console.log(`Background: Imported ${counts.added} new and ${counts.updated} updated ${listType} users for @${account} (${counts.rejected} rejected)`);
+        updateNotificationBadges();
+        return { success: true, ...counts };
+    } catch (error) {
+        console.error('Error importing collection:', error);
+        return { success: false, added: 0, updated: 0, rejected: users.length, error: error.message };
+    }
+}
+
+// Retention policy per account: keep users forever, or archive / purge those not collected for N days.
+// Archived users stay stored and exportable, marked with the time they were archived.
+const RETENTION_MODES = ['keep', 'archive', 'purge'];
+const DEFAULT_RETENTION_POLICY = { mode: 'archive', days: 30 };
+
+async function getRetentionPolicies() {
+    const result = await chrome.storage.local.get(['retentionPolicies']);
+    return result.retentionPolicies || {};
+}
+
+function getRetentionPolicy(retentionPolicies, account) {
+    return retentionPolicies[account] || DEFAULT_RETENTION_POLICY;
+}
+
+async function setRetentionPolicy(account, policy) {
+    try {
+        await storageReady;
+        
+        const days = Number(policy?.days);
+        if (!account || !RETENTION_MODES.includes(policy?.mode) || (policy.mode !== 'keep' && !(Number.isInteger(days) && days > 0))) {
+            console.warn('FollowSaver: Ignoring invalid retention policy', policy);
+            return { success: false };
         }
         
-        return removedCount;
+        const retentionPolicies = await getRetentionPolicies();
+        retentionPolicies[account] = policy.mode === 'keep' ? { mode: 'keep', days: null } : { mode: policy.mode, days };
+        await chrome.storage.local.set({ retentionPolicies });
+        
+        await applyRetentionPolicy(account, retentionPolicies[account]);
+        return { success: true };
+    } catch (error) {
+        console.error('Error setting retention policy:', error);
+        return { success: false };
+    }
+}
+
+// Apply every account's retention policy; run daily by the cleanup alarm
+async function applyRetentionPolicies() {
+    try {
+        await storageReady;
+        
+        const retentionPolicies = await getRetentionPolicies();
+        for (const account of await FollowSaverDB.getAccounts()) {
+            await applyRetentionPolicy(account, getRetentionPolicy(retentionPolicies, account));
+        }
     } catch (error) {
-        console.error('Error cleaning up old data:', error);
-        return 0;
+        console.error('Error applying retention policies:', error);
     }
 }
 
+// Archive or purge the users of one account last collected before the policy's cutoff.
+// Every user seen before the recorded archivedBefore time is archived, so loosening the policy
+// unarchives the users between the new and the old cutoff.
+async function applyRetentionPolicy(account, policy) {
+    const now = new Date();
+    const cutoff = policy.mode === 'keep' ? null : new Date(now.getTime() - policy.days * 24 * 60 * 60 * 1000).toISOString();
+    const archivedBefore = policy.mode === 'archive' ? cutoff : null;
+    
+    const result = await chrome.storage.local.get(['retentionState']);
+    const retentionState = result.retentionState || {};
+    const previousArchivedBefore = retentionState[account]?.archivedBefore || null;
+    
+    const { STORES } = FollowSaverDB;
+    const counts = { archived: 0, unarchived: 0, purged: 0 };
+    
+    // Visit the users of one list whose last-seen time falls in [from, to)
+    const forEachSeenBetween = (usersStore, listType, from, to, visit) => new Promise((resolve, reject) => {
+        const range = IDBKeyRange.bound([account, listType, from], [account, listType, to], false, true);
+        const request = usersStore.index('accountListLastSeen').openCursor(range);
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            visit(cursor);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    
+    await FollowSaverDB.run([STORES.USERS, STORES.PROFILES, STORES.PROFILE_HISTORY], 'readwrite', async tx => {
+        const usersStore = tx.objectStore(STORES.USERS);
+        const purgedIds = new Set();
+        
+        for (const listType of FollowSaverDB.getListTypes(account)) {
+            if (policy.mode === 'purge') {
+                await forEachSeenBetween(usersStore, listType, '', cutoff, cursor => {
+                    purgedIds.add(cursor.value.id);
+                    cursor.delete();
+                    counts.purged++;
+                });
+            } else if (policy.mode === 'archive') {
+                await forEachSeenBetween(usersStore, listType, '', cutoff, cursor => {
+                    if (cursor.value.archivedAt) return;
+                    cursor.update({ ...cursor.value, archivedAt: now.toISOString() });
+                    counts.archived++;
+                });
+            }
+            
+            if (previousArchivedBefore && (!archivedBefore || archivedBefore < previousArchivedBefore)) {
+                await forEachSeenBetween(usersStore, listType, archivedBefore || '', previousArchivedBefore, cursor => {
+                    if (!cursor.value.archivedAt) return;
+                    cursor.update({ ...cursor.value, archivedAt: null });
+                    counts.unarchived++;
+                });
+            }
+        }
+        
+        // Purged users no longer listed under any account lose their profile and change log too
+        for (const userId of purgedIds) {
+            const edgeCount = await FollowSaverDB.promisify(usersStore.index('id').count(userId));
+            if (edgeCount === 0) {
+                tx.objectStore(STORES.PROFILES).delete(userId);
+                tx.objectStore(STORES.PROFILE_HISTORY).delete(userId);
+            }
+        }
+    });
+    
+    retentionState[account] = { archivedBefore, appliedAt: now.toISOString() };
+    await chrome.storage.local.set({ retentionState });
+    
+    if (counts.archived + counts.unarchived + counts.purged > 0) {
+        console.log(`FollowSaver: Retention for "${account}" archived ${counts.archived}, unarchived ${counts.unarchived} and purged ${counts.purged} users`);
+    }
+    return counts;
+}
+
+// Per-account counts for the popup; user records themselves are read from IndexedDB on demand
 async function getUserData() {
     try {
-        const result = await chrome.storage.local.get(['userData', 'lastUpdated', 'viewingState']);
+        await storageReady;
+        
+        const result = await chrome.storage.local.get(['lastUpdated', 'viewingState', 'accountAliases', 'listProfiles', 'postProfiles', 'retentionPolicies', 'retentionState']);
+        const viewingState = result.viewingState || { lastViewedAt: null, lastViewedCounts: {} };
+        const accountAliases = result.accountAliases || {};
+        const listProfiles = result.listProfiles || {};
+        const postProfiles = result.postProfiles || {};
+        const retentionPolicies = result.retentionPolicies || {};
+        const retentionState = result.retentionState || {};
+        const snapshots = await getSnapshots();
+        const accounts = {};
+        
+        for (const account of await FollowSaverDB.getAccounts()) {
+            const scope = FollowSaverDB.getAccountScope(account);
+            let expectedCounts = {};
+            
+            if (scope === 'list') {
+                // X Lists are labelled by name and owner; files are named after the list ID
+                const listId = account.slice('list:'.length);
+                const listProfile = listProfiles[listId] || {};
+                accounts[account] = {
+                    handle: `list-${listId}`,
+                    list: {
+                        id: listId,
+                        name: listProfile.name || null,
+                        description: listProfile.description || null,
+                        ownerId: listProfile.ownerId || null,
+                        ownerHandle: listProfile.ownerHandle || null
+                    }
+                };
+                expectedCounts = {
+                    list_members: listProfile.memberCount ?? null,
+                    list_followers: listProfile.subscriberCount ?? null
+                };
+            } else if (scope === 'post') {
+                // Posts are labelled by author; engagement is matched against the author's collected followers
+                const postId = account.slice('post:'.length);
+                const authorHandle = postProfiles[postId]?.authorHandle || null;
+                accounts[account] = {
+                    handle: `post-${postId}`,
+                    post: {
+                        id: postId,
+                        authorHandle: authorHandle,
+                        followersEngaged: authorHandle ? await countFollowersEngaged(account, authorHandle, accountAliases) : null
+                    }
+                };
+            } else {
+                // The handle is only a display alias; the key stays stable across renames
+                accounts[account] = { handle: accountAliases[account]?.handle || account };
+                // Profile totals X reports; other lists have no published count
+                expectedCounts = {
+                    following: accountAliases[account]?.followingCount ?? null,
+                    followers: accountAliases[account]?.followersCount ?? null
+                };
+            }
+            
+            accounts[account].retention = getRetentionPolicy(retentionPolicies, account);
+            const archivedBefore = retentionState[account]?.archivedBefore || null;
+            
+            for (const listType of FollowSaverDB.getListTypes(account)) {
+                // Latest pass and the total X reports, to show "complete" or "partial (N of ~M)"
+                const latestPass = snapshots.find(snapshot => snapshot.account === account && snapshot.listType === listType);
+                
+                accounts[account][listType] = {
+                    count: await FollowSaverDB.countUsers(account, listType),
+                    newCount: viewingState.lastViewedAt
+                        ? await FollowSaverDB.countUsersSeenSince(account, listType, viewingState.lastViewedAt)
+                        : 0,
+                    expectedCount: expectedCounts[listType] ?? null,
+                    latestPass: latestPass || null,
+                    // Users archived as no longer seen
+                    archivedCount: archivedBefore ? await FollowSaverDB.countUsersSeenBefore(account, listType, archivedBefore) : 0
+                };
+            }
+        }
+        
         return {
-            userData: result.userData || {},
+            accounts: accounts,
             lastUpdated: result.lastUpdated || {},
-            viewingState: result.viewingState || { lastViewedAt: null, lastViewedCounts: {} }
+            viewingState: viewingState
         };
     } catch (error) {
         console.error('Error getting user data:', error);
-        return { userData: {}, lastUpdated: {}, viewingState: { lastViewedAt: null, lastViewedCounts: {} } };
+        return { accounts: {}, lastUpdated: {}, viewingState: { lastViewedAt: null, lastViewedCounts: {} } };
     }
 }
 
 async function clearUserData() {
     try {
+        await storageReady;
+        await FollowSaverDB.clear();
+        
+        // The storage version and migration outcome describe this install, not collected data,
+        // so clearing keeps them and the next start does not take the empty store for a new install
+        const bookkeeping = await chrome.storage.local.get(FollowSaverMigrations.STORAGE_KEYS);
         await chrome.storage.local.clear();
+        await chrome.storage.local.set(bookkeeping);
         chrome.action.setBadgeText({ text: '' });
         console.log('Background: All user data cleared');
     } catch (error) {
@@ -252,10 +1402,21 @@ async function clearUserData() {
 }
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(() => {
-    console.log('FollowSaver extension installed');
+chrome.runtime.onInstalled.addListener((details) => {
+    console.log(`FollowSaver extension ${details.reason === 'update' ? `updated from ${details.previousVersion}` : details.reason}`);
     chrome.action.setBadgeText({ text: '' });
     
+    // Upgrade data stored by the previous release (already under way since the worker started)
+    if (details.reason === 'install' || details.reason === 'update') {
+        FollowSaverMigrations.ensureMigrated().then(result => {
+            if (result.error) {
+                console.error(`FollowSaver: Stored data kept at version ${result.fromVersion} after a failed migration: ${result.error}`);
+            } else if (result.migrated) {
+                console.log(`FollowSaver: Stored data upgraded from version ${result.fromVersion} to ${result.toVersion}`);
+            }
+        });
+    }
+    
     // Set up periodic cleanup (runs every 24 hours)
     chrome.alarms.create('cleanup', { periodInMinutes: 24 * 60 });
 });
@@ -263,34 +1424,32 @@ chrome.runtime.onInstalled.addListener(() => {
 // Handle periodic cleanup
 chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === 'cleanup') {
-        console.log('FollowSaver: Running periodic cleanup');
-        cleanupOldData(30); // Keep data for 30 days
+        console.log('FollowSaver: Applying retention policies');
+        // Serialized with user writes, which unarchive users seen again
+        writeChain = writeChain.then(applyRetentionPolicies);
     }
 });
 
 async function updateBadgeForPageType(pageType, url, tabId) {
     try {
-        const data = await getUserData();
+        await storageReady;
         
-        // Extract username from URL
-        const urlMatch = url.match(/x\.com\/([^\/]+)\/(following|followers)/);
-        const targetUser = urlMatch ? urlMatch[1] : null;
+        // Extract username from URL and look up the account it belongs to
+        const page = FollowSaverDB.parseCollectionUrl(url);
         
-        if (!targetUser || !data.userData[targetUser]) {
+        if (!page || !FollowSaverDB.LIST_TYPES[pageType]) {
             chrome.action.setBadgeText({ text: '', tabId });
             return;
         }
         
-        const accountData = data.userData[targetUser];
-        let count = 0;
-        let color = '#1DA1F2'; // Default blue
+        const targetUser = await resolvePageAccount(page);
+        
+        const count = await FollowSaverDB.countUsers(targetUser, pageType);
+        const color = FollowSaverDB.LIST_TYPES[pageType].color;
         
-        if (pageType === 'following' && accountData.following) {
-            count = Object.keys(accountData.following).length;
-            color = '#1DA1F2'; // Blue for following
-        } else if (pageType === 'followers' && accountData.followers) {
-            count = Object.keys(accountData.followers).length;
-            color = '#22C55E'; // Green for followers
+        if (count === 0) {
+            chrome.action.setBadgeText({ text: '', tabId });
+            return;
         }
         
         chrome.action.setBadgeText({
@@ -309,6 +1468,196 @@ async function updateBadgeForPageType(pageType, url, tabId) {
     }
 }
 
+// Latest auto-collect status reported by each tab
+const autoCollectByTab = {};
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    delete autoCollectByTab[tabId];
+});
+
+// Rate-limit budget per GraphQL endpoint, as last reported by X
+async function recordRateLimit(rateLimit) {
+    try {
+        if (!rateLimit?.endpoint) return;
+        
+        const result = await chrome.storage.local.get(['rateLimits']);
+        const rateLimits = result.rateLimits || {};
+        rateLimits[rateLimit.endpoint] = { ...rateLimit, updatedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ rateLimits });
+    } catch (error) {
+        console.error('Error recording rate limit:', error);
+    }
+}
+
+// Rate limits whose window has not reset yet
+async function getRateLimits() {
+    try {
+        const result = await chrome.storage.local.get(['rateLimits']);
+        const now = new Date().toISOString();
+        const rateLimits = {};
+        
+        Object.values(result.rateLimits || {}).forEach(rateLimit => {
+            if (!rateLimit.resetAt || rateLimit.resetAt > now) {
+                rateLimits[rateLimit.endpoint] = rateLimit;
+            }
+        });
+        
+        return rateLimits;
+    } catch (error) {
+        console.error('Error getting rate limits:', error);
+        return {};
+    }
+}
+
+// Accumulate the unknown and missing paths seen in stored users. Counts restart whenever the
+// schema version changes, since the drift was measured against the previous schema.
+async function recordSchemaDrift(drift, seenAt) {
+    try {
+        if (Object.keys(drift.unknownPaths).length === 0 && Object.keys(drift.missingPaths).length === 0) return;
+        
+        const result = await chrome.storage.local.get(['schemaDrift']);
+        const schemaVersion = FollowSaverNormalizer.getVersion();
+        let schemaDrift = result.schemaDrift;
+        if (!schemaDrift || schemaDrift.schemaVersion !== schemaVersion) {
+            schemaDrift = { schemaVersion, unknownPaths: {}, missingPaths: {}, dismissedAt: null };
+        }
+        
+        ['unknownPaths', 'missingPaths'].forEach(kind => {
+            Object.entries(drift[kind]).forEach(([path, count]) => {
+                const entry = schemaDrift[kind][path] || { count: 0, firstSeenAt: seenAt };
+                entry.count += count;
+                entry.lastSeenAt = seenAt;
+                schemaDrift[kind][path] = entry;
+            });
+        });
+        
+        await chrome.storage.local.set({ schemaDrift });
+    } catch (error) {
+        console.error('Error recording schema drift:', error);
+    }
+}
+
+async function getSchemaDrift() {
+    try {
+        const result = await chrome.storage.local.get(['schemaDrift']);
+        return result.schemaDrift || null;
+    } catch (error) {
+        console.error('Error getting schema drift:', error);
+        return null;
+    }
+}
+
+// Hide the popup warning until X's responses drift again
+async function dismissSchemaDrift() {
+    try {
+        const schemaDrift = await getSchemaDrift();
+        if (!schemaDrift) return;
+        
+        schemaDrift.dismissedAt = new Date().toISOString();
+        await chrome.storage.local.set({ schemaDrift });
+    } catch (error) {
+        console.error('Error dismissing schema drift:', error);
+    }
+}
+
+// Named dashboard queries ("segments"), saved as { [name]: { query, savedAt } }
+async function getSegments() {
+    const result = await chrome.storage.local.get(['segments']);
+    return result.segments || {};
+}
+
+async function saveSegment(name, query) {
+    try {
+        const segmentName = typeof name === 'string' ? name.trim() : '';
+        if (!segmentName || typeof query !== 'string') {
+            console.warn('FollowSaver: Ignoring invalid segment', name);
+            return { success: false };
+        }
+        
+        const segments = await getSegments();
+        segments[segmentName] = { query: query.trim(), savedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ segments });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving segment:', error);
+        return { success: false };
+    }
+}
+
+async function deleteSegment(name) {
+    try {
+        const segments = await getSegments();
+        delete segments[name];
+        await chrome.storage.local.set({ segments });
+    } catch (error) {
+        console.error('Error deleting segment:', error);
+    }
+}
+
+// Badge tooltip of a collection tab: auto-collect progress plus the remaining request budget
+async function updateTabTitle(tabId, pageType) {
+    try {
+        const lines = [];
+        const autoCollect = autoCollectByTab[tabId];
+        
+        if (autoCollect && autoCollect.state !== 'idle') {
+            const users = autoCollect.usersCollected.toLocaleString();
+            const listName = FollowSaverDB.LIST_TYPES[pageType]?.label.toLowerCase() || pageType;
+            const stopReasons = {
+                complete: 'reached the end of the list',
+                idle: 'no new users for a while',
+                user: 'stopped',
+                navigation: 'stopped on leaving the list'
+            };
+            
+            if (autoCollect.state === 'running') {
+                lines.push(`FollowSaver: Auto-collecting ${listName} - ${users} users so far`);
+            } else if (autoCollect.state === 'waiting') {
+                lines.push(`FollowSaver: Auto-collect waiting for rate limit reset at ${new Date(autoCollect.waitingUntil).toLocaleTimeString()} - ${users} ${listName} users so far`);
+            } else if (autoCollect.state === 'paused') {
+                lines.push(`FollowSaver: Auto-collect paused - ${users} ${listName} users so far`);
+            } else {
+                lines.push(`FollowSaver: Auto-collect ${stopReasons[autoCollect.reason] || 'stopped'} - ${users} ${listName} users`);
+            }
+        } else {
+            lines.push('FollowSaver - Manage Your Connections');
+        }
+        
+        const rateLimit = pageType ? (await getRateLimits())[FollowSaverDB.LIST_TYPES[pageType].operation] : null;
+        if (rateLimit) {
+            lines.push(formatRateLimit(rateLimit));
+        }
+        
+        chrome.action.setTitle({ title: lines.join('\n'), tabId });
+    } catch (error) {
+        console.error('Error updating tab title:', error);
+    }
+}
+
+function formatRateLimit(rateLimit) {
+    const resetTime = rateLimit.resetAt ? new Date(rateLimit.resetAt).toLocaleTimeString() : 'unknown';
+    if (rateLimit.limited) {
+        return `${rateLimit.endpoint} API rate limited until ${resetTime}`;
+    }
+    return `${rateLimit.endpoint} API: ${rateLimit.remaining}${rateLimit.limit !== null ? `/${rateLimit.limit}` : ''} requests left, resets ${resetTime}`;
+}
+
+// Keyboard shortcut toggles auto-collect on the active tab
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command !== 'toggle-auto-collect') return;
+    
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.url || !FollowSaverDB.parseCollectionUrl(tab.url)) {
+            console.log('FollowSaver: Auto-collect shortcut ignored outside following/followers pages');
+            return;
+        }
+        await chrome.tabs.sendMessage(tab.id, { type: 'AUTO_COLLECT', action: 'toggle' });
+    } catch (error) {
+        console.error('Error toggling auto-collect:', error);
+    }
+});
+
 // Cache for tab queries to reduce redundant calls
 let tabCacheTimeout = null;
 let cachedTabs = null;
@@ -335,37 +1684,28 @@ async function updateBadgeForUser(targetUser, dataType) {
     try {
         // Use cached tabs to avoid redundant queries
         const tabs = await getCachedTabs();
-        const data = await getUserData();
-        
-        if (!data.userData[targetUser]) return;
-        
-        const accountData = data.userData[targetUser];
         
         // Filter relevant tabs first to minimize operations
         const relevantTabs = tabs.filter(tab => 
             tab.url && 
             tab.url.includes('x.com') && 
-            tab.url.match(/x\.com\/([^\/]+)\/(following|followers)/)
+            FollowSaverDB.parseCollectionUrl(tab.url)
         );
         
         // Batch badge updates
         const badgeUpdates = [];
+        const counts = {};
         
         for (const tab of relevantTabs) {
-            const urlMatch = tab.url.match(/x\.com\/([^\/]+)\/(following|followers)/);
-            if (!urlMatch || urlMatch[1] !== targetUser) continue;
-            
-            const pageType = urlMatch[2];
-            let count = 0;
-            let color = '#1DA1F2';
+            const page = FollowSaverDB.parseCollectionUrl(tab.url);
+            if (await resolvePageAccount(page) !== targetUser) continue;
             
-            if (pageType === 'following' && accountData.following) {
-                count = Object.keys(accountData.following).length;
-                color = '#1DA1F2'; // Blue for following
-            } else if (pageType === 'followers' && accountData.followers) {
-                count = Object.keys(accountData.followers).length;
-                color = '#22C55E'; // Green for followers
+            const pageType = page.listType;
+            if (counts[pageType] === undefined) {
+                counts[pageType] = await FollowSaverDB.countUsers(targetUser, pageType);
             }
+            const count = counts[pageType];
+            const color = FollowSaverDB.LIST_TYPES[pageType].color;
             
             badgeUpdates.push({
                 tabId: tab.id,
@@ -398,11 +1738,10 @@ async function updateBadgeForUser(targetUser, dataType) {
 // Handle tab updates to reset badge if needed
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete' && tab.url && tab.url.includes('x.com')) {
-        // Check if this is a following or followers page
-        if (tab.url.includes('/following')) {
-            await updateBadgeForPageType('following', tab.url, tabId);
-        } else if (tab.url.includes('/followers')) {
-            await updateBadgeForPageType('followers', tab.url, tabId);
+        // Check if this is a collectable list page
+        const page = FollowSaverDB.parseCollectionUrl(tab.url);
+        if (page) {
+            await updateBadgeForPageType(page.listType, tab.url, tabId);
         } else {
             // Check for notification badge
             await updateNotificationBadge(tabId);
@@ -428,41 +1767,22 @@ function formatBadgeNumber(num, isNotification = false) {
 // New functions for notification system
 async function calculateNewUsers() {
     try {
-        const data = await getUserData();
-        const { userData, viewingState } = data;
+        const { accounts, viewingState } = await getUserData();
         
         if (!viewingState.lastViewedAt) {
             return { totalNew: 0, accountNewCounts: {} };
         }
         
-        const lastViewedTime = new Date(viewingState.lastViewedAt);
         let totalNew = 0;
         const accountNewCounts = {};
         
-        Object.keys(userData).forEach(account => {
-            accountNewCounts[account] = { following: 0, followers: 0 };
-            
-            // Check following
-            if (userData[account].following) {
-                Object.values(userData[account].following).forEach(user => {
-                    const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                    if (collectionTime > lastViewedTime) {
-                        accountNewCounts[account].following++;
-                        totalNew++;
-                    }
-                });
-            }
-            
-            // Check followers
-            if (userData[account].followers) {
-                Object.values(userData[account].followers).forEach(user => {
-                    const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                    if (collectionTime > lastViewedTime) {
-                        accountNewCounts[account].followers++;
-                        totalNew++;
-                    }
-                });
-            }
+        Object.keys(accounts).forEach(account => {
+            if (FollowSaverDB.getAccountScope(account)) return;
+            accountNewCounts[account] = {
+                following: accounts[account].following.newCount,
+                followers: accounts[account].followers.newCount
+            };
+            totalNew += accountNewCounts[account].following + accountNewCounts[account].followers;
         });
         
         return { totalNew, accountNewCounts };
@@ -497,8 +1817,7 @@ async function updateNotificationBadges() {
         
         for (const tab of tabs) {
             // Skip tabs that are on X collection pages
-            if (tab.url && tab.url.includes('x.com') && 
-                (tab.url.includes('/following') || tab.url.includes('/followers'))) {
+            if (tab.url && tab.url.includes('x.com') && FollowSaverDB.parseCollectionUrl(tab.url)) {
                 continue;
             }
             
@@ -512,15 +1831,15 @@ async function updateNotificationBadges() {
 
 async function recordViewState() {
     try {
-        const data = await getUserData();
-        const { userData } = data;
+        const { accounts } = await getUserData();
         
         // Record current counts and timestamp
         const currentCounts = {};
-        Object.keys(userData).forEach(account => {
+        Object.keys(accounts).forEach(account => {
+            if (FollowSaverDB.getAccountScope(account)) return;
             currentCounts[account] = {
-                following: userData[account].following ? Object.keys(userData[account].following).length : 0,
-                followers: userData[account].followers ? Object.keys(userData[account].followers).length : 0
+                following: accounts[account].following.count,
+                followers: accounts[account].followers.count
             };
         });
         
@@ -534,8 +1853,7 @@ async function recordViewState() {
         // Clear notification badges
         const tabs = await chrome.tabs.query({});
         for (const tab of tabs) {
-            if (!tab.url || !tab.url.includes('x.com') || 
-                (!tab.url.includes('/following') && !tab.url.includes('/followers'))) {
+            if (!FollowSaverDB.parseCollectionUrl(tab.url)) {
                 await chrome.action.setBadgeText({ text: '', tabId: tab.id });
             }
         }
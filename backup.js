@@ -0,0 +1,332 @@
+// ABOUTME: Single-file backup of everything FollowSaver stores: every IndexedDB store and chrome.storage.local
+// ABOUTME: Archives carry a manifest with format version and per-section checksums, can be gzipped, and restore by replacing or merging
+
+const FollowSaverBackup = (function() {
+    'use strict';
+
+    const { STORES } = FollowSaverDB;
+
+    const FORMAT = 'followsaver-backup';
+    // Version of the archive layout; the shape of the stored records is versioned by storageVersion
+    const FORMAT_VERSION = 1;
+
+    // chrome.storage.local keys that describe this install's data rather than collected data;
+    // a merge keeps the current values and only fills them in when missing
+    const INSTALL_STORAGE_KEYS = FollowSaverMigrations.STORAGE_KEYS;
+
+    // Every object store except the migration backups, which are a copy of the others
+    function getDataStoreNames() {
+        return Object.values(STORES).filter(storeName => storeName !== STORES.BACKUPS);
+    }
+
+    async function sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    async function gzip(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function gunzip(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    }
+
+    // Count and checksum of each section, computed over its JSON text
+    async function describeSections(payload) {
+        const sections = { stores: {}, storage: null };
+        for (const storeName of Object.keys(payload.stores)) {
+            const records = payload.stores[storeName];
+            sections.stores[storeName] = { count: records.length, sha256: await sha256(JSON.stringify(records)) };
+        }
+        sections.storage = { count: Object.keys(payload.storage).length, sha256: await sha256(JSON.stringify(payload.storage)) };
+        return sections;
+    }
+
+    // Read every store in one transaction, so the archive is a consistent copy
+    async function createArchive({ compress = false } = {}) {
+        const storeNames = getDataStoreNames();
+        const stores = await FollowSaverDB.run(storeNames, 'readonly', async tx => {
+            const records = {};
+            for (const storeName of storeNames) {
+                records[storeName] = await FollowSaverDB.promisify(tx.objectStore(storeName).getAll());
+            }
+            return records;
+        });
+        const storage = await chrome.storage.local.get(null);
+        const payload = { stores, storage };
+
+        const manifest = {
+            createdAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            storageVersion: storage.storageVersion ?? null,
+            compression: compress ? 'gzip' : null,
+            sections: await describeSections(payload)
+        };
+
+        if (!compress) {
+            return { format: FORMAT, formatVersion: FORMAT_VERSION, manifest, payload };
+        }
+
+        const encodedPayload = bytesToBase64(await gzip(JSON.stringify(payload)));
+        manifest.payloadSha256 = await sha256(encodedPayload);
+        return { format: FORMAT, formatVersion: FORMAT_VERSION, manifest, payload: encodedPayload };
+    }
+
+    // Parse and verify an archive file, returning { manifest, payload }; throws with a readable reason
+    async function readArchive(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a FollowSaver backup (the file is not JSON)');
+        }
+
+        if (archive?.format !== FORMAT || !archive.manifest) {
+            throw new Error('Not a FollowSaver backup');
+        }
+        if (!Number.isInteger(archive.formatVersion) || archive.formatVersion > FORMAT_VERSION) {
+            throw new Error(`Backup format ${archive.formatVersion} was made by a newer version of FollowSaver`);
+        }
+
+        const { manifest } = archive;
+        let payload = archive.payload;
+        if (manifest.compression === 'gzip') {
+            if (typeof payload !== 'string' || await sha256(payload) !== manifest.payloadSha256) {
+                throw new Error('The compressed backup is damaged (checksum mismatch)');
+            }
+            payload = JSON.parse(await gunzip(base64ToBytes(payload)));
+        } else if (manifest.compression) {
+            throw new Error(`Unknown backup compression "${manifest.compression}"`);
+        }
+
+        if (!payload?.stores || !payload.storage) {
+            throw new Error('The backup has no data');
+        }
+
+        // Every section must be present, known, and match its count and checksum
+        const dataStoreNames = getDataStoreNames();
+        const expectedStores = Object.keys(manifest.sections?.stores || {});
+        const unknownStore = Object.keys(payload.stores).find(storeName =>
+            !dataStoreNames.includes(storeName) || !expectedStores.includes(storeName));
+        if (unknownStore) {
+            throw new Error(`The backup holds an unknown store "${unknownStore}"`);
+        }
+
+        const sections = await describeSections(payload);
+        for (const storeName of expectedStores) {
+            const expected = manifest.sections.stores[storeName];
+            const actual = sections.stores[storeName];
+            if (!actual || actual.count !== expected.count || actual.sha256 !== expected.sha256) {
+                throw new Error(`The "${storeName}" section of the backup is damaged (checksum mismatch)`);
+            }
+        }
+        if (sections.storage.sha256 !== manifest.sections.storage?.sha256) {
+            throw new Error('The settings section of the backup is damaged (checksum mismatch)');
+        }
+
+        return { manifest, payload };
+    }
+
+    // Key of a record under its store's key path
+    function getRecordKey(store, record) {
+        return Array.isArray(store.keyPath) ? store.keyPath.map(path => record[path]) : record[store.keyPath];
+    }
+
+    function earliest(...dates) {
+        return dates.filter(Boolean).sort()[0] || null;
+    }
+
+    // How a backed-up record combines with the stored record of the same key
+    const MERGE_RECORDS = {
+        // Keep the copy seen last, with the earliest collection and first-seen times of both
+        [STORES.USERS]: (stored, backedUp) => {
+            const newer = backedUp.lastSeen > stored.lastSeen ? backedUp : stored;
+            return {
+                ...newer,
+                collectedAt: earliest(stored.collectedAt, backedUp.collectedAt),
+                firstSeen: earliest(stored.firstSeen, backedUp.firstSeen)
+            };
+        },
+        [STORES.PROFILES]: (stored, backedUp) => (backedUp.updatedAt > stored.updatedAt ? backedUp : stored),
+        [STORES.PROFILE_HISTORY]: (stored, backedUp) => {
+            const knownChanges = new Set(stored.changes.map(change => JSON.stringify(change)));
+            const changes = [...stored.changes, ...backedUp.changes.filter(change => !knownChanges.has(JSON.stringify(change)))]
+                .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+
+            // Each field holds what its newest change on either side set it to
+            const current = { ...backedUp.current };
+            Object.keys(stored.current || {}).filter(field => stored.current[field] !== undefined).forEach(field => {
+                current[field] = stored.current[field];
+            });
+            changes.forEach(change => Object.keys(change.changes).forEach(field => {
+                current[field] = change.changes[field].to;
+            }));
+            return { ...stored, current, changes };
+        },
+        [STORES.SNAPSHOTS]: stored => stored,
+        [STORES.SNAPSHOT_USERS]: stored => stored
+    };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // How a backed-up chrome.storage.local value combines with the stored one; by default stored
+    // entries win and entries only the backup has are added
+    const MERGE_STORAGE = {
+        lastUpdated: (stored, backedUp) => {
+            const merged = { ...backedUp };
+            Object.keys(stored).forEach(account => {
+                merged[account] = { ...merged[account] };
+                Object.keys(stored[account]).forEach(listType => {
+                    if (!merged[account][listType] || stored[account][listType] > merged[account][listType]) {
+                        merged[account][listType] = stored[account][listType];
+                    }
+                });
+            });
+            return merged;
+        },
+        accountAliases: (stored, backedUp) => {
+            const merged = { ...backedUp, ...stored };
+            Object.keys(backedUp).filter(accountId => stored[accountId]).forEach(accountId => {
+                const handles = [...stored[accountId].handles];
+                backedUp[accountId].handles.forEach(handle => {
+                    if (!handles.includes(handle)) handles.push(handle);
+                });
+                merged[accountId] = { ...stored[accountId], handles };
+            });
+            return merged;
+        },
+        passCounts: (stored, backedUp) => {
+            const merged = { ...backedUp, ...stored };
+            Object.keys(backedUp).filter(account => stored[account]).forEach(account => {
+                merged[account] = { ...backedUp[account], ...stored[account] };
+                Object.keys(backedUp[account]).filter(listType => stored[account][listType]).forEach(listType => {
+                    const knownPasses = new Set(stored[account][listType].map(entry => entry.passId));
+                    merged[account][listType] = [...stored[account][listType], ...backedUp[account][listType].filter(entry => !knownPasses.has(entry.passId))]
+                        .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+                });
+            });
+            return merged;
+        }
+    };
+
+    function mergeStorageValue(key, stored, backedUp) {
+        if (stored === undefined) return backedUp;
+        if (MERGE_STORAGE[key] && isPlainObject(stored) && isPlainObject(backedUp)) return MERGE_STORAGE[key](stored, backedUp);
+        if (isPlainObject(stored) && isPlainObject(backedUp)) return { ...backedUp, ...stored };
+        return stored;
+    }
+
+    // Replace: the stores and chrome.storage.local become exactly what the backup holds.
+    // Merge: the backup is folded into the current data record by record. Either way the stores
+    // are written in one transaction, so a failed restore leaves them untouched.
+    async function restoreArchive(text, mode) {
+        const { manifest, payload } = await readArchive(text);
+        const backupVersion = manifest.storageVersion ?? payload.storage.storageVersion ?? null;
+        const currentVersion = FollowSaverMigrations.CURRENT_VERSION;
+
+        if (!Number.isInteger(backupVersion) || backupVersion > currentVersion) {
+            throw new Error(`The backup holds storage version ${backupVersion}, newer than this FollowSaver supports (${currentVersion})`);
+        }
+        if (mode === 'merge' && backupVersion !== currentVersion) {
+            throw new Error(`A backup of storage version ${backupVersion} can only be restored by replacing the current data`);
+        }
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown restore mode "${mode}"`);
+        }
+
+        const { promisify } = FollowSaverDB;
+
+        // The stores roll back on their own when their transaction fails, chrome.storage.local does
+        // not: replaced settings are kept until the stores are written and put back on failure
+        const previousStorage = mode === 'replace' ? await chrome.storage.local.get(null) : null;
+        try {
+            if (mode === 'replace') {
+                await chrome.storage.local.clear();
+                await chrome.storage.local.set(payload.storage);
+            }
+
+            await FollowSaverDB.run(getDataStoreNames(), 'readwrite', async tx => {
+                if (mode === 'replace') {
+                    getDataStoreNames().forEach(storeName => tx.objectStore(storeName).clear());
+                }
+
+                for (const storeName of Object.keys(payload.stores)) {
+                    const store = tx.objectStore(storeName);
+                    if (mode === 'replace') {
+                        payload.stores[storeName].forEach(record => store.put(record));
+                        continue;
+                    }
+
+                    for (const record of payload.stores[storeName]) {
+                        const stored = await promisify(store.get(getRecordKey(store, record)));
+                        store.put(stored ? MERGE_RECORDS[storeName](stored, record) : record);
+                    }
+                }
+
+                // Merged snapshots may have gained users from the other side
+                if (mode === 'merge' && payload.stores[STORES.SNAPSHOTS]) {
+                    const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+                    const snapshotUsersIndex = tx.objectStore(STORES.SNAPSHOT_USERS).index('snapshotId');
+                    for (const { id } of payload.stores[STORES.SNAPSHOTS]) {
+                        const snapshot = await promisify(snapshotsStore.get(id));
+                        snapshot.userCount = await promisify(snapshotUsersIndex.count(id));
+                        snapshotsStore.put(snapshot);
+                    }
+                }
+            });
+        } catch (error) {
+            if (previousStorage) {
+                await chrome.storage.local.clear();
+                await chrome.storage.local.set(previousStorage);
+            }
+            throw error;
+        }
+
+        if (mode === 'merge') {
+            const stored = await chrome.storage.local.get(null);
+            const merged = {};
+            Object.keys(payload.storage).filter(key => !INSTALL_STORAGE_KEYS.includes(key) || stored[key] === undefined).forEach(key => {
+                merged[key] = mergeStorageValue(key, stored[key], payload.storage[key]);
+            });
+            await chrome.storage.local.set(merged);
+        }
+
+        // Older backups are upgraded like any other stored data
+        if (backupVersion < currentVersion) {
+            await FollowSaverMigrations.migrateStoredData();
+        }
+
+        console.log(`FollowSaver: Restored the backup of ${manifest.createdAt} (${mode})`);
+        return manifest;
+    }
+
+    return {
+        FORMAT,
+        FORMAT_VERSION,
+        createArchive,
+        readArchive,
+        restoreArchive
+    };
+})();
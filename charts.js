@@ -0,0 +1,158 @@
+// ABOUTME: Small self-contained SVG charts (lines over time, gain/loss bars) drawn without any chart library
+// ABOUTME: Returns markup strings for the popup's growth panel; hover titles give each point's exact value
+
+const FollowSaverCharts = (function() {
+    'use strict';
+
+    // Drawing area in viewBox units; the SVG scales to the width of its container
+    const WIDTH = 320;
+    const HEIGHT = 120;
+    const PADDING = { top: 8, right: 8, bottom: 18, left: 40 };
+
+    const COLORS = {
+        axis: '#e1e8ed',
+        label: '#657786',
+        gain: '#27ae60',
+        loss: '#e74c3c'
+    };
+
+    function escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Map a value in [domainMin, domainMax] onto [rangeMin, rangeMax]
+    function scale(domainMin, domainMax, rangeMin, rangeMax) {
+        const span = domainMax - domainMin || 1;
+        return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+    }
+
+    // About `count` round tick values from at or below min to at or above max. A flat series gets
+    // room above and below, so its line sits mid-chart.
+    function getTicks(min, max, count) {
+        if (min === max) {
+            min -= Math.abs(min) || 1;
+            max += Math.abs(max) || 1;
+        }
+        const rawStep = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick < max + step; tick += step) {
+            ticks.push(Number(tick.toFixed(10)));
+        }
+        return ticks;
+    }
+
+    function formatDay(time) {
+        return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    // Horizontal grid lines with value labels, and the first and last dates under the chart
+    function renderAxes(ticks, y, firstTime, lastTime, formatValue) {
+        const bottom = HEIGHT - PADDING.bottom;
+        const grid = ticks.map(tick => `
+            <line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${COLORS.axis}" stroke-width="1"/>
+            <text x="${PADDING.left - 4}" y="${y(tick) + 3}" text-anchor="end" font-size="9" fill="${COLORS.label}">${escapeXML(formatValue(tick))}</text>
+        `).join('');
+        const dates = `
+            <text x="${PADDING.left}" y="${bottom + 12}" font-size="9" fill="${COLORS.label}">${escapeXML(formatDay(firstTime))}</text>
+            ${lastTime !== firstTime ? `<text x="${WIDTH - PADDING.right}" y="${bottom + 12}" text-anchor="end" font-size="9" fill="${COLORS.label}">${escapeXML(formatDay(lastTime))}</text>` : ''}
+        `;
+        return grid + dates;
+    }
+
+    function renderLegend(items) {
+        return `<div class="chart-legend">${items.map(item =>
+            `<span class="chart-legend-item"><span class="chart-swatch" style="background:${item.color}"></span>${escapeXML(item.label)}</span>`
+        ).join('')}</div>`;
+    }
+
+    // Lines over time. Each series is { label, color, points: [{ time, value }] } with time in
+    // milliseconds; `guide` draws a dashed reference line at { value, label }.
+    function lineChart({ series, formatValue = String, guide = null }) {
+        const points = series.flatMap(line => line.points);
+        if (points.length === 0) return '';
+
+        const times = points.map(point => point.time);
+        const values = points.map(point => point.value).concat(guide ? [guide.value] : []);
+        const ticks = getTicks(Math.min(...values), Math.max(...values), 4);
+        const firstTime = Math.min(...times);
+        const lastTime = Math.max(...times);
+
+        // A single pass sits in the middle rather than on the left edge
+        const x = firstTime === lastTime
+            ? () => (PADDING.left + WIDTH - PADDING.right) / 2
+            : scale(firstTime, lastTime, PADDING.left, WIDTH - PADDING.right);
+        const y = scale(ticks[0], ticks[ticks.length - 1], HEIGHT - PADDING.bottom, PADDING.top);
+
+        const guideLine = guide ? `
+            <line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(guide.value)}" y2="${y(guide.value)}" stroke="${COLORS.label}" stroke-width="1" stroke-dasharray="3,3">
+                <title>${escapeXML(guide.label)}</title>
+            </line>
+        ` : '';
+
+        const lines = series.filter(line => line.points.length > 0).map(line => {
+            const sorted = [...line.points].sort((a, b) => a.time - b.time);
+            const path = sorted.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+            const dots = sorted.map(point => `
+                <circle cx="${x(point.time).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="2.5" fill="${line.color}">
+                    <title>${escapeXML(`${line.label}: ${formatValue(point.value)} (${new Date(point.time).toLocaleString()})`)}</title>
+                </circle>
+            `).join('');
+            return `<polyline points="${path}" fill="none" stroke="${line.color}" stroke-width="1.5"/>${dots}`;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+                ${renderAxes(ticks, y, firstTime, lastTime, formatValue)}
+                ${guideLine}
+                ${lines}
+            </svg>
+            ${renderLegend(series.filter(line => line.points.length > 0))}
+        `;
+    }
+
+    // Gains above and losses below the zero line, one pair of bars per pass: [{ time, gained, lost }]
+    // where a null count is unknown and leaves its bar out
+    function gainLossChart({ passes, formatValue = String }) {
+        if (passes.length === 0) return '';
+
+        const maxValue = Math.max(1, ...passes.map(pass => Math.max(pass.gained || 0, pass.lost || 0)));
+        const ticks = getTicks(-maxValue, maxValue, 4);
+        const y = scale(ticks[0], ticks[ticks.length - 1], HEIGHT - PADDING.bottom, PADDING.top);
+        const slot = (WIDTH - PADDING.left - PADDING.right) / passes.length;
+        const barWidth = Math.max(1, Math.min(16, slot * 0.7));
+
+        const bars = passes.map((pass, index) => {
+            const center = PADDING.left + slot * (index + 0.5);
+            const when = new Date(pass.time).toLocaleString();
+            const gainBar = pass.gained === null ? '' : `
+                <rect x="${(center - barWidth / 2).toFixed(1)}" y="${y(pass.gained).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(y(0) - y(pass.gained)).toFixed(1)}" fill="${COLORS.gain}">
+                    <title>${escapeXML(`+${formatValue(pass.gained)} (${when})`)}</title>
+                </rect>`;
+            const lossBar = pass.lost === null ? '' : `
+                <rect x="${(center - barWidth / 2).toFixed(1)}" y="${y(0).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(y(-pass.lost) - y(0)).toFixed(1)}" fill="${COLORS.loss}">
+                    <title>${escapeXML(`−${formatValue(pass.lost)} (${when})`)}</title>
+                </rect>`;
+            return gainBar + lossBar;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+                ${renderAxes(ticks, y, passes[0].time, passes[passes.length - 1].time, value => formatValue(Math.abs(value)))}
+                <line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(0)}" y2="${y(0)}" stroke="${COLORS.label}" stroke-width="1"/>
+                ${bars}
+            </svg>
+            ${renderLegend([{ label: 'New users', color: COLORS.gain }, { label: 'Not seen again', color: COLORS.loss }])}
+        `;
+    }
+
+    return {
+        lineChart,
+        gainLossChart
+    };
+})();
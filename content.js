@@ -1,91 +1,428 @@
 // ABOUTME: Content script that injects the main world script and communicates with background
-// ABOUTME: Listens for custom events from the injected script and forwards following/followers data to background
+// ABOUTME: Follows X's in-app navigation and forwards collected list data from the injected script to background
 
 (function() {
     'use strict';
     
     console.log('FollowSaver: Content script loaded');
     
-    // Check if we're on a following or followers page
-    if (window.location.pathname.includes('/following') || window.location.pathname.includes('/followers')) {
-        const pageType = window.location.pathname.includes('/following') ? 'following' : 'followers';
-        console.log(`FollowSaver: On ${pageType} page, injecting script`);
-        
-        // Inject script into main world with cache busting
-        const script = document.createElement('script');
-        script.src = chrome.runtime.getURL('injected.js') + '?t=' + Date.now();
-        script.onload = function() {
-            console.log('FollowSaver: Injected script loaded with timestamp:', Date.now());
-            this.remove();
-        };
-        script.onerror = function() {
-            console.error('FollowSaver: Failed to load injected script');
-        };
-        
-        // Inject as soon as possible
-        if (document.documentElement) {
+    // List type of the current route, or null when it is not a collectable list page
+    let pageType = null;
+    let currentPath = null;
+    
+    // Each visit to a list page is one collection pass, stored as its own dated snapshot
+    let passId = null;
+    
+    // Collectable lists are defined once, in the db.js registry loaded ahead of this script
+    function getPageType(pathname) {
+        return FollowSaverDB.parseCollectionUrl(`https://x.com${pathname}`)?.listType || null;
+    }
+    
+    // Users larger than this are cut down to the fields the canonical profile reads before storage
+    const MAX_USER_SIZE = 50000; // 50KB per user limit
+    const normalizerReady = FollowSaverNormalizer.load(chrome.runtime.getURL('schema.json'));
+    
+    function compactOversizedUsers(users) {
+        return users.map(user => {
+            const size = JSON.stringify(user.rawData).length;
+            if (size <= MAX_USER_SIZE) return user;
+    
+            console.warn(`FollowSaver: User data exceeds size limit (${size} bytes), compacting...`);
+            return { ...user, rawData: FollowSaverNormalizer.compact(user.rawData) };
+        });
+    }
+    
+    // Inject script into main world with cache busting on every x.com page,
+    // so navigating into a list inside the app is captured
+    const script = document.createElement('script');
+    script.src = chrome.runtime.getURL('injected.js') + '?t=' + Date.now();
+    // The main world cannot see db.js, so the endpoints to intercept go along with the script
+    script.dataset.listEndpoints = JSON.stringify(Object.fromEntries(
+        Object.entries(FollowSaverDB.LIST_TYPES).map(([listType, { operation }]) => [operation, listType])));
+    script.onload = function() {
+        console.log('FollowSaver: Injected script loaded with timestamp:', Date.now());
+        this.remove();
+    };
+    script.onerror = function() {
+        console.error('FollowSaver: Failed to load injected script');
+    };
+    
+    // Inject as soon as possible
+    if (document.documentElement) {
+        document.documentElement.appendChild(script);
+    } else {
+        document.addEventListener('DOMContentLoaded', () => {
             document.documentElement.appendChild(script);
-        } else {
-            document.addEventListener('DOMContentLoaded', () => {
-                document.documentElement.appendChild(script);
-            });
+        });
+    }
+    
+    // X is a single-page app: switch collection on and off as the route changes
+    function onRouteChange() {
+        if (window.location.pathname === currentPath) return;
+        currentPath = window.location.pathname;
+    
+        const newPageType = getPageType(currentPath);
+        if (pageType && newPageType !== pageType) {
+            stopAutoCollect('navigation');
         }
-        
-        // Listen for custom events from injected script
-        window.addEventListener('X_USER_DATA', function(event) {
-            const { users, url, dataType } = event.detail;
-            console.log(`FollowSaver: Content script received ${users.length} ${dataType} users from injected script`);
-            
-            // Check if extension context is still valid
-            if (!chrome.runtime?.id) {
-                console.warn('FollowSaver: Extension context invalidated, cannot send data to background');
+    
+        const wasCollecting = pageType !== null;
+        pageType = newPageType;
+        passId = pageType ? `${pageType}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` : null;
+    
+        if (pageType) {
+            console.log(`FollowSaver: On ${pageType} page, collecting`);
+            sendPageTypeUpdate();
+        } else if (wasCollecting) {
+            console.log('FollowSaver: Left list page, collection paused');
+            sendPageTypeUpdate();
+        }
+    }
+    
+    window.addEventListener('X_ROUTE_CHANGE', onRouteChange);
+    window.addEventListener('popstate', onRouteChange);
+    
+    // Listen for custom events from injected script
+    window.addEventListener('X_USER_DATA', function(event) {
+        const { users, url, dataType, ownerId, responseId, pagination, diagnostics } = event.detail;
+    
+        // Only store lists that match the route being viewed
+        if (dataType !== pageType) {
+            console.log(`FollowSaver: Ignoring ${dataType} users outside a ${dataType} page`);
+            return;
+        }
+    
+        console.log(`FollowSaver: Content script received ${users.length} ${dataType} users from injected script`);
+    
+        onAutoCollectUsers(users.length, pagination?.reachedEnd);
+    
+        // Check if extension context is still valid
+        if (!chrome.runtime?.id) {
+            console.warn('FollowSaver: Extension context invalidated, cannot send data to background');
+            return;
+        }
+    
+        // Keep the pass this response belongs to while the schema loads
+        const responsePassId = passId;
+        const compactedUsers = normalizerReady.then(() => compactOversizedUsers(users), error => {
+            console.error('FollowSaver: Failed to load schema, sending users uncompacted:', error);
+            return users;
+        });
+    
+        // Send to background script with error handling
+        compactedUsers.then(storedUsers => chrome.runtime.sendMessage({
+            type: 'STORE_USER_DATA',
+            users: storedUsers,
+            url: url,
+            dataType: dataType,
+            ownerId: ownerId,
+            pagination: pagination,
+            passId: responsePassId,
+            responseId: responseId,
+            diagnostics: diagnostics
+        })).then(response => {
+            if (chrome.runtime.lastError) {
+                console.error('FollowSaver: Runtime error:', chrome.runtime.lastError);
                 return;
             }
-            
-            // Send to background script with error handling
-            try {
-                chrome.runtime.sendMessage({
-                    type: 'STORE_USER_DATA',
-                    users: users,
-                    url: url,
-                    dataType: dataType
-                }).then(response => {
-                    if (chrome.runtime.lastError) {
-                        console.error('FollowSaver: Runtime error:', chrome.runtime.lastError);
-                        return;
-                    }
-                    console.log(`FollowSaver: ${dataType} data sent to background script`, response);
-                }).catch(error => {
-                    if (error.message?.includes('Extension context invalidated')) {
-                        console.warn('FollowSaver: Extension was reloaded, skipping data send');
-                    } else {
-                        console.error(`FollowSaver: Error sending ${dataType} data to background script:`, error);
-                    }
-                });
-            } catch (error) {
-                console.error('FollowSaver: Failed to send message:', error);
+            if (response?.success) {
+                console.log(`FollowSaver: Stored ${dataType} batch - ${response.added} added, ${response.updated} updated`);
+            } else {
+                console.warn(`FollowSaver: Background did not store ${dataType} batch`, response);
             }
-        });
-        
-        // Notify background script of current page type for badge updates
-        if (chrome.runtime?.id) {
-            try {
-                chrome.runtime.sendMessage({
-                    type: 'PAGE_TYPE_UPDATE',
-                    pageType: pageType,
-                    url: window.location.href
-                }).catch(error => {
-                    if (!error.message?.includes('Extension context invalidated')) {
-                        console.error('FollowSaver: Error sending page type update:', error);
-                    }
-                });
-            } catch (error) {
-                console.error('FollowSaver: Failed to send page type update:', error);
+        }).catch(error => {
+            if (error.message?.includes('Extension context invalidated')) {
+                console.warn('FollowSaver: Extension was reloaded, skipping data send');
+            } else {
+                console.error(`FollowSaver: Error sending ${dataType} data to background script:`, error);
             }
+        });
+    });
+    
+    // Forward rate-limit budgets and hold auto-collect until the limit resets
+    window.addEventListener('X_RATE_LIMIT', function(event) {
+        const rateLimit = event.detail;
+    
+        if (rateLimit.limited) {
+            onAutoCollectRateLimited(rateLimit.resetAt);
         }
+    
+        if (!chrome.runtime?.id) return;
+    
+        try {
+            chrome.runtime.sendMessage({
+                type: 'RATE_LIMIT_UPDATE',
+                pageType: pageType,
+                rateLimit: rateLimit
+            }).catch(error => {
+                if (!error.message?.includes('Extension context invalidated')) {
+                    console.error('FollowSaver: Error sending rate limit update:', error);
+                }
+            });
+        } catch (error) {
+            console.error('FollowSaver: Failed to send rate limit update:', error);
+        }
+    });
+    
+    // Forward the profile totals of the account whose list is open
+    window.addEventListener('X_ACCOUNT_PROFILE', function(event) {
+        if (!chrome.runtime?.id) return;
+    
+        try {
+            chrome.runtime.sendMessage({
+                type: 'ACCOUNT_PROFILE',
+                profile: event.detail
+            }).catch(error => {
+                if (!error.message?.includes('Extension context invalidated')) {
+                    console.error('FollowSaver: Error sending account profile:', error);
+                }
+            });
+        } catch (error) {
+            console.error('FollowSaver: Failed to send account profile:', error);
+        }
+    });
+    
+    // Forward the name and owner of the X List whose members or followers are open
+    window.addEventListener('X_LIST_PROFILE', function(event) {
+        if (!chrome.runtime?.id) return;
         
-        console.log('FollowSaver: Event listener installed');
-    } else {
-        console.log('FollowSaver: Not on following/followers page, script not injected');
+        try {
+            chrome.runtime.sendMessage({
+                type: 'LIST_PROFILE',
+                profile: event.detail
+            }).catch(error => {
+                if (!error.message?.includes('Extension context invalidated')) {
+                    console.error('FollowSaver: Error sending list profile:', error);
+                }
+            });
+        } catch (error) {
+            console.error('FollowSaver: Failed to send list profile:', error);
+        }
+    });
+    
+    // Notify background script of current page type for badge updates
+    function sendPageTypeUpdate(extra = {}) {
+        if (!chrome.runtime?.id) return;
+    
+        try {
+            chrome.runtime.sendMessage({
+                type: 'PAGE_TYPE_UPDATE',
+                pageType: pageType,
+                url: window.location.href,
+                ...extra
+            }).catch(error => {
+                if (!error.message?.includes('Extension context invalidated')) {
+                    console.error('FollowSaver: Error sending page type update:', error);
+                }
+            });
+        } catch (error) {
+            console.error('FollowSaver: Failed to send page type update:', error);
+        }
+    }
+    
+    // Auto-collect: scroll the timeline until the list ends, with randomized delays and backoff
+    const AUTO_COLLECT = {
+        MIN_DELAY_MS: 1200,          // Shortest pause between scrolls
+        MAX_DELAY_MS: 3000,          // Longest pause between scrolls
+        MAX_BACKOFF_MS: 20000,       // Cap on the extra wait when scrolling yields nothing
+        IDLE_TIMEOUT_MS: 45000,      // Stop when no new users arrive for this long
+        DEFAULT_RATE_LIMIT_WAIT_MS: 15 * 60 * 1000, // X's rate-limit window when no reset time is given
+        RATE_LIMIT_MARGIN_MS: 5000   // Extra wait after the reset time
+    };
+    
+    const autoCollect = {
+        state: 'idle',               // idle | running | waiting | paused | stopped
+        reason: null,                // Why the last run stopped: complete | idle | user | navigation
+        waitingUntil: null,          // Reset time while held back by a rate limit
+        usersCollected: 0,
+        lastUsersAt: 0,
+        lastScrollAt: 0,
+        backoffMs: 0,
+        timer: null
+    };
+    
+    function getAutoCollectStatus() {
+        return {
+            state: autoCollect.state,
+            reason: autoCollect.reason,
+            waitingUntil: autoCollect.waitingUntil,
+            usersCollected: autoCollect.usersCollected
+        };
+    }
+    
+    // Progress goes out through the same channel as page type updates
+    function reportAutoCollect() {
+        sendPageTypeUpdate({ autoCollect: getAutoCollectStatus() });
+    }
+    
+    function scheduleAutoScroll() {
+        clearTimeout(autoCollect.timer);
+        const delay = AUTO_COLLECT.MIN_DELAY_MS +
+            Math.random() * (AUTO_COLLECT.MAX_DELAY_MS - AUTO_COLLECT.MIN_DELAY_MS) +
+            autoCollect.backoffMs;
+        autoCollect.timer = setTimeout(autoScrollStep, delay);
+    }
+    
+    function autoScrollStep() {
+        if (autoCollect.state !== 'running') return;
+    
+        if (Date.now() - autoCollect.lastUsersAt > AUTO_COLLECT.IDLE_TIMEOUT_MS) {
+            stopAutoCollect('idle');
+            return;
+        }
+    
+        // Back off while scrolling brings in nothing new
+        if (autoCollect.lastScrollAt && autoCollect.lastUsersAt < autoCollect.lastScrollAt) {
+            autoCollect.backoffMs = Math.min(Math.max(autoCollect.backoffMs * 2, 1000), AUTO_COLLECT.MAX_BACKOFF_MS);
+        }
+    
+        autoCollect.lastScrollAt = Date.now();
+        window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'smooth' });
+        scheduleAutoScroll();
+    }
+    
+    function startAutoCollect() {
+        if (!pageType) return;
+        autoCollect.state = 'running';
+        autoCollect.reason = null;
+        autoCollect.usersCollected = 0;
+        autoCollect.lastUsersAt = Date.now();
+        autoCollect.lastScrollAt = 0;
+        autoCollect.backoffMs = 0;
+        console.log(`FollowSaver: Auto-collect started on ${pageType} page`);
+        reportAutoCollect();
+        scrollUnlessRateLimited();
+    }
+    
+    // Reset time of a rate limit on this page's endpoint that is still in force, or null; X
+    // counts each endpoint apart
+    async function getActiveRateLimitReset() {
+        try {
+            const { rateLimits } = await chrome.runtime.sendMessage({ type: 'GET_RATE_LIMITS' });
+            const now = Date.now();
+            const resets = Object.values(rateLimits || {})
+                .filter(rateLimit => rateLimit.limited && rateLimit.endpoint === FollowSaverDB.LIST_TYPES[pageType]?.operation)
+                .map(rateLimit => rateLimit.resetAt
+                    ? new Date(rateLimit.resetAt).getTime()
+                    : new Date(rateLimit.updatedAt).getTime() + AUTO_COLLECT.DEFAULT_RATE_LIMIT_WAIT_MS)
+                .filter(resetTime => resetTime > now);
+            return resets.length > 0 ? new Date(Math.max(...resets)).toISOString() : null;
+        } catch (error) {
+            console.error('FollowSaver: Could not read rate limits:', error);
+            return null;
+        }
+    }
+    
+    // A limit hit before this run still holds until its reset, so wait for it rather than
+    // scrolling into more 429s
+    async function scrollUnlessRateLimited() {
+        const resetAt = await getActiveRateLimitReset();
+        if (autoCollect.state !== 'running') return;
+    
+        if (resetAt) {
+            onAutoCollectRateLimited(resetAt);
+        } else {
+            autoScrollStep();
+        }
+    }
+    
+    function pauseAutoCollect() {
+        if (autoCollect.state !== 'running' && autoCollect.state !== 'waiting') return;
+        clearTimeout(autoCollect.timer);
+        autoCollect.state = 'paused';
+        autoCollect.waitingUntil = null;
+        reportAutoCollect();
+    }
+    
+    // A rate limit holds scrolling until X's reset time, then collection carries on
+    function onAutoCollectRateLimited(resetAt) {
+        if (autoCollect.state !== 'running' && autoCollect.state !== 'waiting') return;
+    
+        const resetTime = resetAt ? new Date(resetAt).getTime() : Date.now() + AUTO_COLLECT.DEFAULT_RATE_LIMIT_WAIT_MS;
+        const waitMs = Math.max(resetTime - Date.now(), 0) + AUTO_COLLECT.RATE_LIMIT_MARGIN_MS;
+    
+        clearTimeout(autoCollect.timer);
+        autoCollect.state = 'waiting';
+        autoCollect.waitingUntil = new Date(Date.now() + waitMs).toISOString();
+        console.log(`FollowSaver: Auto-collect waiting for rate limit reset until ${autoCollect.waitingUntil}`);
+        reportAutoCollect();
+    
+        autoCollect.timer = setTimeout(() => {
+            autoCollect.state = 'running';
+            autoCollect.waitingUntil = null;
+            autoCollect.lastUsersAt = Date.now();
+            autoCollect.backoffMs = 0;
+            reportAutoCollect();
+            autoScrollStep();
+        }, waitMs);
+    }
+    
+    function resumeAutoCollect() {
+        if (autoCollect.state !== 'paused') return;
+        autoCollect.state = 'running';
+        autoCollect.lastUsersAt = Date.now();
+        autoCollect.backoffMs = 0;
+        reportAutoCollect();
+        scrollUnlessRateLimited();
     }
+    
+    function stopAutoCollect(reason = 'user') {
+        if (!['running', 'waiting', 'paused'].includes(autoCollect.state)) return;
+        clearTimeout(autoCollect.timer);
+        autoCollect.state = 'stopped';
+        autoCollect.reason = reason;
+        autoCollect.waitingUntil = null;
+        console.log(`FollowSaver: Auto-collect stopped (${reason}) after ${autoCollect.usersCollected} users`);
+        reportAutoCollect();
+    }
+    
+    function onAutoCollectUsers(count, reachedEnd) {
+        if (!['running', 'waiting', 'paused'].includes(autoCollect.state)) return;
+    
+        if (count > 0) {
+            autoCollect.usersCollected += count;
+            autoCollect.lastUsersAt = Date.now();
+            autoCollect.backoffMs = 0;
+        }
+    
+        if (reachedEnd) {
+            stopAutoCollect('complete');
+        } else {
+            reportAutoCollect();
+        }
+    }
+    
+    // Controls from the popup and the keyboard command (relayed by the background worker)
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type !== 'AUTO_COLLECT') return;
+    
+        const running = autoCollect.state === 'running' || autoCollect.state === 'waiting';
+        const paused = autoCollect.state === 'paused';
+    
+        switch (message.action) {
+            case 'start':
+                if (!running && !paused) startAutoCollect();
+                break;
+            case 'pause':
+                pauseAutoCollect();
+                break;
+            case 'resume':
+                resumeAutoCollect();
+                break;
+            case 'stop':
+                stopAutoCollect('user');
+                break;
+            case 'toggle':
+                if (running) pauseAutoCollect();
+                else if (paused) resumeAutoCollect();
+                else startAutoCollect();
+                break;
+        }
+    
+        sendResponse({ autoCollect: pageType ? getAutoCollectStatus() : null });
+    });
+    
+    onRouteChange();
+    
+    console.log('FollowSaver: Event listener installed');
 })();
\ No newline at end of file
@@ -0,0 +1,551 @@
+// ABOUTME: Dashboard page listing every collected user across accounts in one sortable table
+// ABOUTME: Loads every collected user once and renders only the rows in view of the scrolling table
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const statusEl = document.getElementById('status');
+    const tableScrollEl = document.getElementById('tableScroll');
+    const tableHeaderEl = document.getElementById('tableHeader');
+    const tableBodyEl = document.getElementById('tableBody');
+    const queryInputEl = document.getElementById('queryInput');
+    const queryErrorEl = document.getElementById('queryError');
+    const builderConditionsEl = document.getElementById('builderConditions');
+    const builderJoinEl = document.getElementById('builderJoin');
+    const segmentSelectEl = document.getElementById('segmentSelect');
+    const overlapSetsEl = document.getElementById('overlapSets');
+    const overlapMatchEl = document.getElementById('overlapMatch');
+    const overlapMatrixEl = document.getElementById('overlapMatrix');
+    const { escapeHTML, formatFullNumber } = FollowSaverFormat;
+
+    const ROW_HEIGHT = 44;     // Pixels per row; rows are positioned from their index
+    const OVERSCAN_ROWS = 10;  // Rows rendered above and below the visible ones
+
+    // Table columns. `type` picks the comparison used for sorting and the default direction.
+    const COLUMNS = [
+        { key: 'profileImageUrl', label: '', type: 'image' },
+        { key: 'username', label: 'Handle', type: 'text' },
+        { key: 'displayName', label: 'Name', type: 'text' },
+        { key: 'bio', label: 'Bio', type: 'text' },
+        { key: 'followersCount', label: 'Followers', type: 'number' },
+        { key: 'followingCount', label: 'Following', type: 'number' },
+        { key: 'tweetsCount', label: 'Posts', type: 'number' },
+        { key: 'verified', label: 'Verified', type: 'boolean' },
+        { key: 'accountLabel', label: 'Account', type: 'text' },
+        { key: 'listLabel', label: 'List', type: 'text' },
+        { key: 'firstSeen', label: 'First seen', type: 'date' },
+        { key: 'lastSeen', label: 'Last seen', type: 'date' }
+    ];
+
+    // Every list edge as an export row, and the ones matching the query in the current sort order
+    let allRows = [];
+    let rows = [];
+    let sort = { key: 'lastSeen', direction: 'desc' };
+
+    // Query currently applied and the saved segment it came from, if any
+    let activeQuery = '';
+    let activeSegment = null;
+    let segments = {};
+
+    // One set per account and list for overlap analysis, and the combination whose users are shown
+    let overlapSets = [];
+    let activeOverlap = null;
+
+    // Row elements reused while scrolling
+    const rowPool = [];
+    let renderScheduled = false;
+
+    renderHeader();
+    await FollowSaverNormalizer.load(chrome.runtime.getURL('schema.json'));
+    await loadRows();
+    await loadSegments();
+
+    tableScrollEl.addEventListener('scroll', scheduleRender);
+    window.addEventListener('resize', scheduleRender);
+
+    // Text queries
+    document.getElementById('applyQueryBtn').addEventListener('click', () => applyQuery(queryInputEl.value));
+    document.getElementById('clearQueryBtn').addEventListener('click', () => {
+        queryInputEl.value = '';
+        applyQuery('');
+    });
+    queryInputEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyQuery(queryInputEl.value);
+    });
+
+    // Filter builder, which writes its conditions as a text query
+    document.getElementById('addConditionBtn').addEventListener('click', () => addBuilderCondition());
+    document.getElementById('useConditionsBtn').addEventListener('click', () => {
+        queryInputEl.value = getBuilderQuery();
+        applyQuery(queryInputEl.value);
+    });
+
+    // Saved segments
+    segmentSelectEl.addEventListener('change', () => {
+        const segment = segments[segmentSelectEl.value];
+        if (!segment) return;
+        queryInputEl.value = segment.query;
+        applyQuery(segment.query, segmentSelectEl.value);
+    });
+    document.getElementById('saveSegmentBtn').addEventListener('click', saveSegment);
+    document.getElementById('deleteSegmentBtn').addEventListener('click', deleteSegment);
+
+    // Cross-account overlap
+    document.getElementById('compareSetsBtn').addEventListener('click', compareSets);
+    document.getElementById('clearOverlapBtn').addEventListener('click', () => {
+        activeOverlap = null;
+        applyQuery(activeQuery, activeSegment);
+    });
+    overlapMatrixEl.addEventListener('click', (e) => {
+        const cellEl = e.target.closest('[data-row]');
+        if (!cellEl) return;
+        const rowSet = overlapSets[cellEl.dataset.row];
+        const columnSet = overlapSets[cellEl.dataset.column];
+        showOverlap({ include: rowSet === columnSet ? [rowSet] : [rowSet, columnSet], match: 'all' });
+    });
+
+    // Exports of the rows shown
+    document.getElementById('exportCSVBtn').addEventListener('click', exportRowsAsCSV);
+    document.getElementById('exportJSONBtn').addEventListener('click', exportRowsAsJSON);
+
+    async function loadRows() {
+        try {
+            statusEl.textContent = 'Loading...';
+
+            const response = await chrome.runtime.sendMessage({ type: 'GET_USER_DATA' });
+            const accountSummaries = response.data.accounts;
+            const users = await FollowSaverDB.getAllUsers();
+            const relationships = getRelationships(users);
+
+            allRows = users.map(user => {
+                // Same columns as the CSV exports, read from the stored canonical profile when present
+                const summary = accountSummaries[user.account];
+                const profile = user.profile || FollowSaverNormalizer.normalize(user.rawData).profile;
+                return {
+                    ...FollowSaverNormalizer.toUserFields(profile, summary?.handle || user.account, user.listType, user.collectedAt || user.lastSeen),
+                    firstSeen: user.firstSeen || '',
+                    lastSeen: user.lastSeen || '',
+                    noLongerSeenSince: user.archivedAt || '',
+                    account: user.account,
+                    accountLabel: getAccountLabel(summary, user.account),
+                    listLabel: FollowSaverDB.LIST_TYPES[user.listType]?.label || user.listType,
+                    mutual: relationships[user.account]?.following.has(user.id) && relationships[user.account].followers.has(user.id) || false
+                };
+            });
+
+            overlapSets = FollowSaverOverlap.getSets(allRows).sort((a, b) => a.label.localeCompare(b.label));
+            renderOverlapSets();
+            applyQuery(activeQuery, activeSegment);
+        } catch (error) {
+            console.error('Error loading dashboard:', error);
+            statusEl.textContent = 'Error loading data';
+        }
+    }
+
+    // Following and followers IDs of each account, for the mutual flag
+    function getRelationships(users) {
+        const relationships = {};
+        users.forEach(user => {
+            if (user.listType !== 'following' && user.listType !== 'followers') return;
+            relationships[user.account] = relationships[user.account] || { following: new Set(), followers: new Set() };
+            relationships[user.account][user.listType].add(user.id);
+        });
+        return relationships;
+    }
+
+    // How an account shows in the Account column: @handle, the X List's name or the post's author
+    function getAccountLabel(summary, account) {
+        if (summary?.list) return summary.list.name ? `List: ${summary.list.name}` : summary.handle;
+        if (summary?.post) return summary.post.authorHandle ? `Post by @${summary.post.authorHandle}` : summary.handle;
+        return `@${summary?.handle || account}`;
+    }
+
+    // Show the rows matching a query; a query that does not parse leaves the table as it is
+    function applyQuery(query, segmentName = null) {
+        let predicate;
+        try {
+            predicate = FollowSaverQuery.compile(query);
+        } catch (error) {
+            queryErrorEl.textContent = error.message;
+            return false;
+        }
+
+        queryErrorEl.textContent = '';
+        activeQuery = query.trim();
+        activeSegment = segmentName;
+        segmentSelectEl.value = segmentName || '';
+        const sourceRows = activeOverlap ? activeOverlap.rows : allRows;
+        rows = activeQuery ? sourceRows.filter(predicate) : sourceRows.slice();
+
+        const uniqueUsers = new Set(rows.map(row => row.userId)).size;
+        const accountCount = new Set(rows.map(row => row.account)).size;
+        const overlap = activeOverlap ? `${activeOverlap.description}: ` : '';
+        const matching = activeQuery ? ` matching${activeSegment ? ` "${activeSegment}"` : ' the query'} (of ${formatFullNumber(sourceRows.length)})` : '';
+        statusEl.textContent = `${overlap}${formatFullNumber(rows.length)} list entries${matching} • ${formatFullNumber(uniqueUsers)} unique users • ${formatFullNumber(accountCount)} accounts`;
+
+        sortRows();
+        return true;
+    }
+
+    // One builder row: field, an operator valid for its type, and a value
+    function addBuilderCondition() {
+        const conditionEl = document.createElement('div');
+        conditionEl.className = 'builder-condition';
+        conditionEl.innerHTML = `
+            <select class="condition-field">
+                ${Object.keys(FollowSaverQuery.FIELDS).map(field => `<option value="${field}">${FollowSaverQuery.FIELDS[field].label}</option>`).join('')}
+            </select>
+            <select class="condition-operator"></select>
+            <input type="text" class="condition-value">
+            <select class="condition-boolean" hidden>
+                <option value="true">yes</option>
+                <option value="false">no</option>
+            </select>
+            <button class="btn condition-remove" title="Remove condition">×</button>
+        `;
+
+        const fieldEl = conditionEl.querySelector('.condition-field');
+        const operatorEl = conditionEl.querySelector('.condition-operator');
+        const valueEl = conditionEl.querySelector('.condition-value');
+        const booleanEl = conditionEl.querySelector('.condition-boolean');
+        const OPERATOR_LABELS = { '=': 'is', '!=': 'is not', '>': '>', '>=': '≥', '<': '<', '<=': '≤', '~': 'contains', '!~': 'does not contain' };
+        const VALUE_HINTS = { text: 'text', number: 'e.g. 10k', date: 'e.g. 2015 or 2024-06-30' };
+
+        const updateForField = () => {
+            const { type } = FollowSaverQuery.FIELDS[fieldEl.value];
+            operatorEl.innerHTML = FollowSaverQuery.OPERATORS[type]
+                .map(operator => `<option value="${operator}">${OPERATOR_LABELS[operator]}</option>`).join('');
+            valueEl.hidden = type === 'boolean';
+            booleanEl.hidden = type !== 'boolean';
+            valueEl.placeholder = VALUE_HINTS[type] || '';
+        };
+
+        fieldEl.addEventListener('change', updateForField);
+        conditionEl.querySelector('.condition-remove').addEventListener('click', () => conditionEl.remove());
+        updateForField();
+        builderConditionsEl.appendChild(conditionEl);
+    }
+
+    function getBuilderQuery() {
+        const conditions = Array.from(builderConditionsEl.querySelectorAll('.builder-condition')).map(conditionEl => {
+            const field = conditionEl.querySelector('.condition-field').value;
+            const isBoolean = FollowSaverQuery.FIELDS[field].type === 'boolean';
+            const value = isBoolean ? conditionEl.querySelector('.condition-boolean').value : conditionEl.querySelector('.condition-value').value.trim();
+            return FollowSaverQuery.formatCondition(field, conditionEl.querySelector('.condition-operator').value, value);
+        });
+        return conditions.join(` ${builderJoinEl.value} `);
+    }
+
+    // One row per set with its In / Not in choice
+    function renderOverlapSets() {
+        overlapSetsEl.innerHTML = overlapSets.map((set, index) => `
+            <label class="overlap-set">
+                <select class="overlap-role" data-index="${index}">
+                    <option value="">—</option>
+                    <option value="include">In</option>
+                    <option value="exclude">Not in</option>
+                </select>
+                <span class="overlap-label">${escapeHTML(set.label)}</span>
+                <span class="overlap-size">${formatFullNumber(set.rowsById.size)}</span>
+            </label>
+        `).join('');
+    }
+
+    // Show the users of the chosen combination and the overlap counts of every chosen list
+    function compareSets() {
+        const include = [];
+        const exclude = [];
+        overlapSetsEl.querySelectorAll('.overlap-role').forEach(roleEl => {
+            if (roleEl.value === 'include') include.push(overlapSets[roleEl.dataset.index]);
+            if (roleEl.value === 'exclude') exclude.push(overlapSets[roleEl.dataset.index]);
+        });
+
+        if (include.length === 0) {
+            overlapMatrixEl.innerHTML = '<p class="overlap-hint">Mark at least one list as In.</p>';
+            return;
+        }
+
+        renderOverlapMatrix([...include, ...exclude]);
+        showOverlap({ include, exclude, match: overlapMatchEl.value });
+    }
+
+    function showOverlap(combination) {
+        activeOverlap = {
+            description: FollowSaverOverlap.describe(combination),
+            rows: FollowSaverOverlap.combine(combination)
+        };
+        applyQuery(activeQuery, activeSegment);
+    }
+
+    // Users in both lists for every pair; a cell shows those users in the table
+    function renderOverlapMatrix(sets) {
+        const counts = FollowSaverOverlap.countMatrix(sets);
+        const indexOf = set => overlapSets.indexOf(set);
+
+        overlapMatrixEl.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${sets.map(set => `<th title="${escapeHTML(set.label)}">${escapeHTML(set.label)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sets.map((rowSet, i) => `
+                        <tr>
+                            <th title="${escapeHTML(rowSet.label)}">${escapeHTML(rowSet.label)}</th>
+                            ${sets.map((columnSet, j) => {
+                                const onlyInRow = counts[i][i] - counts[i][j];
+                                const title = i === j
+                                    ? `${rowSet.label}: ${formatFullNumber(counts[i][i])} users`
+                                    : `In both: ${formatFullNumber(counts[i][j])} • only in ${rowSet.label}: ${formatFullNumber(onlyInRow)}`;
+                                return `<td class="${i === j ? 'diagonal' : ''}" data-row="${indexOf(rowSet)}" data-column="${indexOf(columnSet)}" title="${escapeHTML(title)}">${formatFullNumber(counts[i][j])}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async function loadSegments() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SEGMENTS' });
+            segments = response.segments || {};
+            segmentSelectEl.innerHTML = '<option value="">Saved segments</option>' + Object.keys(segments).sort().map(name =>
+                `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+            segmentSelectEl.value = activeSegment && segments[activeSegment] ? activeSegment : '';
+        } catch (error) {
+            console.error('Error loading segments:', error);
+        }
+    }
+
+    async function saveSegment() {
+        const query = queryInputEl.value.trim();
+        if (!query || !applyQuery(query, activeSegment)) {
+            if (!query) queryErrorEl.textContent = 'Write or build a query to save it as a segment';
+            return;
+        }
+
+        const name = prompt('Segment name', activeSegment || '');
+        if (!name || !name.trim()) return;
+
+        const result = await chrome.runtime.sendMessage({ type: 'SAVE_SEGMENT', name: name.trim(), query });
+        if (result.success) {
+            activeSegment = name.trim();
+            await loadSegments();
+            applyQuery(query, activeSegment);
+        }
+    }
+
+    async function deleteSegment() {
+        const name = segmentSelectEl.value;
+        if (!name || !confirm(`Delete the segment "${name}"?`)) return;
+
+        await chrome.runtime.sendMessage({ type: 'DELETE_SEGMENT', name });
+        activeSegment = null;
+        await loadSegments();
+        applyQuery(activeQuery);
+    }
+
+    // File name part for the rows shown: the segment name, or what was exported
+    function getExportName() {
+        const name = activeSegment || (activeOverlap ? 'overlap' : activeQuery ? 'query' : 'all');
+        return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'segment';
+    }
+
+    // Same columns as the account CSV exports
+    async function exportRowsAsCSV() {
+        try {
+            if (rows.length === 0) return;
+
+            const csvRows = rows.map(({ account, accountLabel, listLabel, mutual, ...csvRow }) => csvRow);
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            const csvContent = csvRows.length > 500
+                ? await FollowSaverExporter.convertToCSV(csvRows)
+                : FollowSaverExporter.convertToCSVSync(csvRows);
+            FollowSaverExporter.downloadCSVFile(csvContent, `x-segment-${getExportName()}-${timestamp}.csv`);
+        } catch (error) {
+            console.error('Error exporting segment CSV:', error);
+        }
+    }
+
+    // Raw users grouped by account handle, like the account JSON exports, plus each row's list and times
+    async function exportRowsAsJSON() {
+        try {
+            if (rows.length === 0) return;
+
+            const profiles = await FollowSaverDB.getProfiles([...new Set(rows.map(row => row.userId))]);
+            const accounts = {};
+            const rawDataById = {};
+            rows.forEach(row => {
+                const rawData = profiles[row.userId]?.rawData || null;
+                accounts[row.sourceAccount] = accounts[row.sourceAccount] || {};
+                accounts[row.sourceAccount][row.userId] = rawData;
+                if (rawData) rawDataById[row.userId] = rawData;
+            });
+
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            FollowSaverExporter.downloadFile({
+                exportDate: new Date().toISOString(),
+                exportType: 'segment',
+                segment: { name: activeSegment, query: activeQuery, overlap: activeOverlap?.description || null },
+                totalUsers: rows.length,
+                schemaVersion: FollowSaverNormalizer.getVersion(),
+                entries: rows.map(row => ({
+                    userId: row.userId,
+                    account: row.sourceAccount,
+                    listType: row.accountType,
+                    firstSeen: row.firstSeen,
+                    lastSeen: row.lastSeen,
+                    noLongerSeenSince: row.noLongerSeenSince
+                })),
+                accounts: accounts,
+                profiles: FollowSaverExporter.getCanonicalProfiles(rawDataById)
+            }, `x-segment-${getExportName()}-${timestamp}.json`);
+        } catch (error) {
+            console.error('Error exporting segment JSON:', error);
+        }
+    }
+
+    function renderHeader() {
+        tableHeaderEl.innerHTML = COLUMNS.map(column => `
+            <div class="cell col-${column.key}${column.type === 'image' ? '' : ' sortable'}" data-key="${column.key}" role="columnheader">
+                ${column.label}<span class="sort-indicator"></span>
+            </div>
+        `).join('');
+
+        tableHeaderEl.addEventListener('click', (e) => {
+            const headerEl = e.target.closest('.sortable');
+            if (!headerEl) return;
+
+            const column = COLUMNS.find(candidate => candidate.key === headerEl.dataset.key);
+            if (sort.key === column.key) {
+                sort.direction = sort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                // Text reads best A-Z; numbers, flags and dates largest or newest first
+                sort = { key: column.key, direction: column.type === 'text' ? 'asc' : 'desc' };
+            }
+            sortRows();
+        });
+    }
+
+    // Sort on precomputed keys: lowercase text, numbers, 0/1 flags and ISO dates all compare with < and >
+    function sortRows() {
+        const column = COLUMNS.find(candidate => candidate.key === sort.key);
+        const toSortKey = {
+            text: value => String(value).toLowerCase(),
+            number: value => Number(value) || 0,
+            boolean: value => (value ? 1 : 0),
+            date: value => value || ''
+        }[column.type];
+
+        const sign = sort.direction === 'asc' ? 1 : -1;
+        const keyed = rows.map(row => ({ row, sortKey: toSortKey(row[column.key]) }));
+        keyed.sort((a, b) => (a.sortKey < b.sortKey ? -sign : a.sortKey > b.sortKey ? sign : 0));
+        rows = keyed.map(entry => entry.row);
+
+        tableHeaderEl.querySelectorAll('.sortable').forEach(headerEl => {
+            const isSorted = headerEl.dataset.key === sort.key;
+            headerEl.classList.toggle('sorted', isSorted);
+            headerEl.setAttribute('aria-sort', isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            headerEl.querySelector('.sort-indicator').textContent = isSorted ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+        });
+
+        tableBodyEl.style.height = `${rows.length * ROW_HEIGHT}px`;
+        tableScrollEl.scrollTop = 0;
+        render();
+    }
+
+    function scheduleRender() {
+        if (renderScheduled) return;
+        renderScheduled = true;
+        requestAnimationFrame(() => {
+            renderScheduled = false;
+            render();
+        });
+    }
+
+    // Fill pooled row elements with the rows currently in view
+    function render() {
+        const headerHeight = tableHeaderEl.offsetHeight;
+        const scrollTop = Math.max(0, tableScrollEl.scrollTop - headerHeight);
+        const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const visibleCount = Math.ceil(tableScrollEl.clientHeight / ROW_HEIGHT) + OVERSCAN_ROWS * 2;
+
+        while (rowPool.length < visibleCount) {
+            rowPool.push(createRowElement());
+        }
+
+        rowPool.forEach((rowEl, offset) => {
+            const index = firstIndex + offset;
+            if (index >= rows.length) {
+                rowEl.hidden = true;
+                return;
+            }
+            rowEl.hidden = false;
+            rowEl.style.transform = `translateY(${index * ROW_HEIGHT}px)`;
+            if (rowEl.rowIndex !== index || rowEl.row !== rows[index]) {
+                fillRowElement(rowEl, rows[index]);
+                rowEl.rowIndex = index;
+                rowEl.row = rows[index];
+            }
+        });
+    }
+
+    function createRowElement() {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'table-row';
+        rowEl.setAttribute('role', 'row');
+        rowEl.style.height = `${ROW_HEIGHT}px`;
+        rowEl.cells = {};
+
+        COLUMNS.forEach(column => {
+            const cellEl = document.createElement('div');
+            cellEl.className = `cell col-${column.key}`;
+            cellEl.setAttribute('role', 'cell');
+            if (column.type === 'image') {
+                const imgEl = document.createElement('img');
+                imgEl.className = 'avatar';
+                imgEl.alt = '';
+                imgEl.referrerPolicy = 'no-referrer';
+                cellEl.appendChild(imgEl);
+            }
+            rowEl.cells[column.key] = cellEl;
+            rowEl.appendChild(cellEl);
+        });
+
+        tableBodyEl.appendChild(rowEl);
+        return rowEl;
+    }
+
+    // Profile text comes from other users, so it is only ever set as text
+    function fillRowElement(rowEl, row) {
+        const { cells } = rowEl;
+        const avatarEl = cells.profileImageUrl.firstChild;
+        if (row.profileImageUrl) {
+            avatarEl.src = row.profileImageUrl;
+            avatarEl.hidden = false;
+        } else {
+            avatarEl.removeAttribute('src');
+            avatarEl.hidden = true;
+        }
+
+        cells.username.textContent = row.username ? `@${row.username}` : row.userId;
+        cells.displayName.textContent = row.displayName;
+        cells.bio.textContent = row.bio;
+        cells.bio.title = row.bio;
+        cells.followersCount.textContent = formatFullNumber(row.followersCount);
+        cells.followingCount.textContent = formatFullNumber(row.followingCount);
+        cells.tweetsCount.textContent = formatFullNumber(row.tweetsCount);
+        cells.verified.textContent = row.verified ? '✓' : '';
+        cells.accountLabel.textContent = row.accountLabel;
+        cells.listLabel.textContent = row.listLabel;
+        cells.firstSeen.textContent = formatDate(row.firstSeen);
+        cells.lastSeen.textContent = formatDate(row.lastSeen);
+        cells.lastSeen.title = row.noLongerSeenSince ? `No longer seen since ${formatDate(row.noLongerSeenSince)}` : '';
+        rowEl.classList.toggle('archived', Boolean(row.noLongerSeenSince));
+    }
+
+    function formatDate(isoString) {
+        return isoString ? new Date(isoString).toLocaleDateString() : '';
+    }
+});
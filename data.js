@@ -0,0 +1,144 @@
+// ABOUTME: Data page script that imports FollowSaver export files and backs up or restores all stored data
+// ABOUTME: Runs in its own tab so choosing files does not close it, and reads and writes archives here rather than messaging them whole
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const importInput = document.getElementById('importInput');
+    const importBtn = document.getElementById('importBtn');
+    const importStatusEl = document.getElementById('importStatus');
+    const importResultsEl = document.getElementById('importResults');
+    const backupBtn = document.getElementById('backupBtn');
+    const backupStatusEl = document.getElementById('backupStatus');
+    const restoreInput = document.getElementById('restoreInput');
+    const restoreBtn = document.getElementById('restoreBtn');
+    const restoreStatusEl = document.getElementById('restoreStatus');
+    const { escapeHTML, formatFullNumber } = FollowSaverFormat;
+    
+    // Users sent to the background per import message, keeping each message small
+    const IMPORT_BATCH_SIZE = 1000;
+    
+    // CSV files are read back through the canonical profile
+    await FollowSaverNormalizer.load(chrome.runtime.getURL('schema.json'));
+    
+    importInput.addEventListener('change', () => {
+        importBtn.disabled = importInput.files.length === 0;
+    });
+    importBtn.addEventListener('click', importFiles);
+    
+    backupBtn.addEventListener('click', createBackup);
+    restoreInput.addEventListener('change', () => {
+        restoreBtn.disabled = restoreInput.files.length === 0;
+    });
+    restoreBtn.addEventListener('click', restoreBackup);
+    
+    // Merge the chosen export files into storage and report what each one added
+    async function importFiles() {
+        const files = Array.from(importInput.files);
+        if (files.length === 0) return;
+        
+        importBtn.disabled = true;
+        importInput.disabled = true;
+        importResultsEl.innerHTML = '';
+        const totals = { added: 0, updated: 0, rejected: 0 };
+        
+        try {
+            for (const [index, file] of files.entries()) {
+                importStatusEl.textContent = `Importing ${file.name} (${index + 1} of ${files.length})...`;
+                const parsed = FollowSaverImporter.parseExportFile(file.name, await file.text());
+                const counts = { added: 0, updated: 0, rejected: parsed.rejected };
+                
+                for (const collection of parsed.collections) {
+                    for (let start = 0; start < collection.users.length; start += IMPORT_BATCH_SIZE) {
+                        const result = await chrome.runtime.sendMessage({
+                            type: 'IMPORT_COLLECTION',
+                            collection: { ...collection, users: collection.users.slice(start, start + IMPORT_BATCH_SIZE) }
+                        });
+                        counts.added += result.added;
+                        counts.updated += result.updated;
+                        counts.rejected += result.rejected;
+                    }
+                }
+                
+                Object.keys(totals).forEach(key => totals[key] += counts[key]);
+                const skipped = parsed.error && parsed.collections.length === 0 ? ` - skipped: ${escapeHTML(parsed.error)}` : '';
+                importResultsEl.insertAdjacentHTML('beforeend', `
+                    <li><strong>${escapeHTML(file.name)}</strong>: ${formatFullNumber(counts.added)} added,
+                    ${formatFullNumber(counts.updated)} updated, ${formatFullNumber(counts.rejected)} rejected${skipped}</li>
+                `);
+            }
+            
+            importStatusEl.textContent = `Imported ${formatFullNumber(totals.added)} new and ${formatFullNumber(totals.updated)} updated users`;
+            
+        } catch (error) {
+            console.error('Error importing files:', error);
+            importStatusEl.textContent = 'Import failed';
+        } finally {
+            importInput.value = '';
+            importInput.disabled = false;
+        }
+    }
+    
+    // Archives can be far larger than a runtime message allows, so they never leave this page
+    async function createBackup() {
+        try {
+            backupStatusEl.textContent = 'Creating backup...';
+            backupBtn.disabled = true;
+            
+            const archive = await FollowSaverBackup.createArchive({ compress: document.getElementById('compressBackup').checked });
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            const url = URL.createObjectURL(new Blob([JSON.stringify(archive)], { type: 'application/json' }));
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `followsaver-backup-${timestamp}.json`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            backupStatusEl.textContent = 'Backup saved';
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            backupStatusEl.textContent = 'Backup failed';
+        } finally {
+            backupBtn.disabled = false;
+        }
+    }
+    
+    // Check the chosen backup first so problems are reported before anything is changed
+    async function restoreBackup() {
+        const file = restoreInput.files[0];
+        if (!file) return;
+        
+        const mode = document.getElementById('restoreMode').value;
+        restoreBtn.disabled = true;
+        restoreInput.disabled = true;
+        try {
+            restoreStatusEl.textContent = 'Checking backup...';
+            
+            const text = await file.text();
+            const { manifest } = await FollowSaverBackup.readArchive(text);
+            const { users, profiles, snapshots } = manifest.sections.stores;
+            const summary = `Backup of ${new Date(manifest.createdAt).toLocaleString()}: ${formatFullNumber(users?.count)} list entries, ` +
+                `${formatFullNumber(profiles?.count)} profiles, ${formatFullNumber(snapshots?.count)} snapshots.`;
+            const question = mode === 'replace'
+                ? 'Replace ALL current data and settings with this backup? This cannot be undone.'
+                : 'Merge this backup into the current data?';
+            if (!confirm(`${summary}\n\n${question}`)) {
+                restoreStatusEl.textContent = 'Restore cancelled';
+                return;
+            }
+            
+            // Answered once the background has finished any migration of the stored data
+            restoreStatusEl.textContent = 'Restoring backup...';
+            await chrome.runtime.sendMessage({ type: 'GET_MIGRATION_STATUS' });
+            await FollowSaverBackup.restoreArchive(text, mode);
+            await chrome.runtime.sendMessage({ type: 'BACKUP_RESTORED' });
+            
+            restoreStatusEl.textContent = mode === 'replace' ? 'Backup restored' : 'Backup merged';
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            restoreStatusEl.textContent = `The backup was not restored: ${error.message}`;
+        } finally {
+            restoreInput.value = '';
+            restoreInput.disabled = false;
+        }
+    }
+});
@@ -0,0 +1,335 @@
+// ABOUTME: IndexedDB storage layer shared by the background service worker and the popup
+// ABOUTME: Keeps one profile per X user and one edge per account list it appears in, plus the collectable list registry
+
+const FollowSaverDB = (function() {
+    'use strict';
+
+    const DB_NAME = 'FollowSaver';
+    // Version of the object stores and indexes; the shape of the records is versioned in migrations.js
+    const DB_VERSION = 3;
+
+    // Object stores
+    const STORES = {
+        USERS: 'users',                   // One edge per account + list type + user ID: first/last seen, archive state
+        PROFILES: 'profiles',             // One profile per user ID (raw GraphQL user and canonical profile), shared by every edge
+        SNAPSHOTS: 'snapshots',           // Metadata of each collection pass
+        SNAPSHOT_USERS: 'snapshotUsers',  // Membership of users in a collection pass
+        PROFILE_HISTORY: 'profileHistory', // Profile change log per user ID
+        BACKUPS: 'backups'                // Chunked copy of every store taken before a storage migration
+    };
+
+    // Fields of a collected user that belong to its shared profile rather than to one list edge
+    const PROFILE_FIELDS = ['rawData', 'profile'];
+
+    // Split a collected user into its list edge and its shared profile record
+    function splitUserRecord(record, updatedAt) {
+        const edge = { ...record };
+        PROFILE_FIELDS.forEach(field => delete edge[field]);
+        edge.firstSeen = edge.firstSeen || edge.collectedAt || edge.lastSeen;
+
+        const profile = { id: record.id, rawData: record.rawData || null, profile: record.profile || null, updatedAt: updatedAt };
+        return { edge, profile };
+    }
+
+    // Lists that can be collected, keyed by list type. `path` is the tab under x.com/<handle>/
+    // (x.com/i/lists/<id>/ for X List collections, marked `scope: 'list'`, and
+    // x.com/<handle>/status/<id>/ for post engagement, marked `scope: 'post'`), `operation` the
+    // GraphQL endpoint that loads it and `color` the toolbar badge color.
+    const LIST_TYPES = {
+        following: { label: 'Following', path: 'following', operation: 'Following', color: '#1DA1F2' },
+        followers: { label: 'Followers', path: 'followers', operation: 'Followers', color: '#22C55E' },
+        verified_followers: { label: 'Verified followers', path: 'verified_followers', operation: 'BlueVerifiedFollowers', color: '#8B5CF6' },
+        followers_you_follow: { label: 'Followers you know', path: 'followers_you_follow', operation: 'FollowersYouKnow', color: '#F59E0B' },
+        subscriptions: { label: 'Subscriptions', path: 'creator-subscriptions/subscriptions', operation: 'UserCreatorSubscriptions', color: '#EC4899' },
+        list_members: { label: 'Members', path: 'members', operation: 'ListMembers', color: '#0EA5E9', scope: 'list' },
+        list_followers: { label: 'List followers', path: 'followers', operation: 'ListSubscribers', color: '#14B8A6', scope: 'list' },
+        post_likers: { label: 'Liked by', path: 'likes', operation: 'Favoriters', color: '#F43F5E', scope: 'post' },
+        post_reposters: { label: 'Reposted by', path: 'retweets', operation: 'Retweeters', color: '#10B981', scope: 'post' }
+    };
+
+    // Storage account key of an X List collection
+    function listAccountKey(listId) {
+        return `list:${listId}`;
+    }
+
+    // Storage account key of a post's likers and reposters
+    function postAccountKey(postId) {
+        return `post:${postId}`;
+    }
+
+    // Kind of collection an account key holds: 'list' or 'post', or null for an X account
+    function getAccountScope(account) {
+        const match = String(account).match(/^(list|post):/);
+        return match ? match[1] : null;
+    }
+
+    // List types that apply to an account key: X Lists have members and followers, posts their
+    // likers and reposters, X accounts the rest
+    function getListTypes(account) {
+        const scope = getAccountScope(account);
+        return Object.keys(LIST_TYPES).filter(listType => (LIST_TYPES[listType].scope || null) === scope);
+    }
+
+    // List type of a page URL with the handle, X List ID or post ID it belongs to, or null when the
+    // page is not a collectable list
+    function parseCollectionUrl(url) {
+        const findListType = (scope, path) => Object.keys(LIST_TYPES).find(listType =>
+            (LIST_TYPES[listType].scope || null) === scope && LIST_TYPES[listType].path === path) || null;
+
+        const xListMatch = url?.match(/x\.com\/i\/lists\/(\d+)\/([^\/?#]+)\/?(?:[?#]|$)/);
+        if (xListMatch) {
+            const listType = findListType('list', xListMatch[2]);
+            return listType ? { handle: null, listId: xListMatch[1], listType: listType } : null;
+        }
+
+        const postMatch = url?.match(/x\.com\/([^\/?#]+)\/status\/(\d+)\/([^\/?#]+)\/?(?:[?#]|$)/);
+        if (postMatch) {
+            const listType = findListType('post', postMatch[3]);
+            return listType ? { handle: postMatch[1], postId: postMatch[2], listType: listType } : null;
+        }
+
+        const urlMatch = url?.match(/x\.com\/([^\/?#]+)\/([^?#]+?)\/?(?:[?#]|$)/);
+        if (!urlMatch) return null;
+
+        const listType = findListType(null, urlMatch[2]);
+        return listType ? { handle: urlMatch[1], listType: listType } : null;
+    }
+
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                const db = request.result;
+
+                if (event.oldVersion < 1) {
+                    const users = db.createObjectStore(STORES.USERS, { keyPath: ['account', 'listType', 'id'] });
+                    users.createIndex('account', 'account');
+                    users.createIndex('listType', 'listType');
+                    users.createIndex('lastSeen', 'lastSeen');
+                    users.createIndex('accountListLastSeen', ['account', 'listType', 'lastSeen']);
+
+                    const snapshots = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+                    snapshots.createIndex('account', 'account');
+
+                    const snapshotUsers = db.createObjectStore(STORES.SNAPSHOT_USERS, { keyPath: ['snapshotId', 'userId'] });
+                    snapshotUsers.createIndex('snapshotId', 'snapshotId');
+
+                    db.createObjectStore(STORES.PROFILE_HISTORY, { keyPath: 'id' });
+                }
+
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+                    request.transaction.objectStore(STORES.USERS).createIndex('id', 'id');
+                }
+
+                if (event.oldVersion < 3) {
+                    db.createObjectStore(STORES.BACKUPS, { keyPath: ['backupId', 'store', 'chunk'] });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    // Wrap a single IDBRequest in a promise
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run a callback inside one transaction and resolve with its result once the transaction commits
+    async function run(storeNames, mode, callback) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+
+            Promise.resolve()
+                .then(() => callback(tx))
+                .then(value => {
+                    result = value;
+                })
+                .catch(error => {
+                    try {
+                        tx.abort();
+                    } catch (abortError) {
+                        // Transaction already finished
+                    }
+                    reject(error);
+                });
+        });
+    }
+
+    // Key range covering every user of one account's list
+    function listRange(account, listType) {
+        return IDBKeyRange.bound([account, listType], [account, listType, []]);
+    }
+
+    // All accounts that have at least one stored user
+    function getAccounts() {
+        return run([STORES.USERS], 'readonly', tx => new Promise((resolve, reject) => {
+            const accounts = [];
+            const request = tx.objectStore(STORES.USERS).index('account').openKeyCursor(null, 'nextunique');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(accounts);
+                    return;
+                }
+                accounts.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    function countUsers(account, listType) {
+        return run([STORES.USERS], 'readonly', tx =>
+            promisify(tx.objectStore(STORES.USERS).count(listRange(account, listType))));
+    }
+
+    // Count users of a list that were (re)collected after the given ISO timestamp
+    function countUsersSeenSince(account, listType, sinceISO) {
+        return run([STORES.USERS], 'readonly', tx => {
+            const range = IDBKeyRange.bound([account, listType, sinceISO], [account, listType, []], true);
+            return promisify(tx.objectStore(STORES.USERS).index('accountListLastSeen').count(range));
+        });
+    }
+
+    // Count users of a list last collected before the given ISO timestamp
+    function countUsersSeenBefore(account, listType, beforeISO) {
+        return run([STORES.USERS], 'readonly', tx => {
+            const range = IDBKeyRange.bound([account, listType, ''], [account, listType, beforeISO], false, true);
+            return promisify(tx.objectStore(STORES.USERS).index('accountListLastSeen').count(range));
+        });
+    }
+
+    function getUserIds(account, listType) {
+        return run([STORES.USERS], 'readonly', async tx => {
+            const keys = await promisify(tx.objectStore(STORES.USERS).getAllKeys(listRange(account, listType)));
+            return keys.map(key => key[2]);
+        });
+    }
+
+    // Users of one list as an object keyed by user ID: each edge joined with its shared profile
+    function getUsers(account, listType) {
+        return run([STORES.USERS, STORES.PROFILES], 'readonly', async tx => {
+            const records = await promisify(tx.objectStore(STORES.USERS).getAll(listRange(account, listType)));
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const users = {};
+            for (const record of records) {
+                const profile = await promisify(profilesStore.get(record.id));
+                users[record.id] = { ...record, rawData: profile?.rawData || null, profile: profile?.profile || null };
+            }
+            return users;
+        });
+    }
+
+    // Profile records of the given user IDs, keyed by user ID; unknown IDs are left out
+    function getProfiles(userIds) {
+        return run([STORES.PROFILES], 'readonly', async tx => {
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const profiles = {};
+            for (const userId of userIds) {
+                const profile = await promisify(profilesStore.get(userId));
+                if (profile) profiles[userId] = profile;
+            }
+            return profiles;
+        });
+    }
+
+    // Every list edge of one user across all tracked accounts
+    function getUserEdges(userId) {
+        return run([STORES.USERS], 'readonly', tx =>
+            promisify(tx.objectStore(STORES.USERS).index('id').getAll(userId)));
+    }
+
+    // Every list edge of every account joined with its user's canonical profile. Raw data is only
+    // kept for profiles stored before canonical profiles existed, so large tables stay light.
+    function getAllUsers() {
+        return run([STORES.USERS, STORES.PROFILES], 'readonly', tx => new Promise((resolve, reject) => {
+            const profiles = {};
+            const request = tx.objectStore(STORES.PROFILES).openCursor();
+
+            request.onsuccess = async () => {
+                const cursor = request.result;
+                if (cursor) {
+                    const { profile, rawData } = cursor.value;
+                    profiles[cursor.key] = profile ? { profile, rawData: null } : { profile: null, rawData };
+                    cursor.continue();
+                    return;
+                }
+
+                try {
+                    const edges = await promisify(tx.objectStore(STORES.USERS).getAll());
+                    resolve(edges.map(edge => ({ ...edge, rawData: null, profile: null, ...profiles[edge.id] })));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    // Every list of an account in the { following, followers, ... } shape used by the exporters
+    async function getAccountData(account) {
+        const listTypes = getListTypes(account);
+        const lists = await Promise.all(listTypes.map(listType => getUsers(account, listType)));
+        const accountData = {};
+        listTypes.forEach((listType, index) => {
+            accountData[listType] = lists[index];
+        });
+        return accountData;
+    }
+
+    function clear() {
+        return run(Object.values(STORES), 'readwrite', tx => {
+            Object.values(STORES).forEach(storeName => tx.objectStore(storeName).clear());
+        });
+    }
+
+    return {
+        STORES,
+        LIST_TYPES,
+        splitUserRecord,
+        listAccountKey,
+        postAccountKey,
+        getAccountScope,
+        getListTypes,
+        parseCollectionUrl,
+        open,
+        promisify,
+        run,
+        listRange,
+        getAccounts,
+        countUsers,
+        countUsersSeenSince,
+        countUsersSeenBefore,
+        getUserIds,
+        getUsers,
+        getProfiles,
+        getUserEdges,
+        getAllUsers,
+        getAccountData,
+        clear
+    };
+})();
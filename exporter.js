@@ -0,0 +1,130 @@
+// ABOUTME: CSV and JSON export helpers shared by the popup and the dashboard
+// ABOUTME: Hardens CSV fields against formula injection and turns export rows into downloadable files
+
+const FollowSaverExporter = (function() {
+    'use strict';
+
+    // CSV Export Helper Functions with security hardening
+    function sanitizeCSVField(field) {
+        if (field === null || field === undefined) return '';
+        let str = String(field);
+        
+        // Prevent CSV injection attacks by escaping formula indicators
+        // Check for formula injection patterns at the start of the field
+        const formulaIndicators = ['=', '+', '-', '@', '\t', '\r'];
+        if (formulaIndicators.some(indicator => str.startsWith(indicator))) {
+            // Prefix with single quote to prevent formula execution
+            str = "'" + str;
+        }
+        
+        // Also check for formulas that might start with whitespace
+        const trimmedStr = str.trim();
+        if (trimmedStr !== str && formulaIndicators.some(indicator => trimmedStr.startsWith(indicator))) {
+            str = "'" + str;
+        }
+        
+        // Standard CSV escaping for quotes and special characters
+        if (str.includes('"')) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        if (str.includes(',') || str.includes('\n') || str.includes('\r')) {
+            return '"' + str + '"';
+        }
+        
+        // Additional safety: limit field length to prevent massive fields
+        const MAX_FIELD_LENGTH = 10000;
+        if (str.length > MAX_FIELD_LENGTH) {
+            console.warn(`X Collector: CSV field truncated from ${str.length} to ${MAX_FIELD_LENGTH} characters`);
+            str = str.substring(0, MAX_FIELD_LENGTH) + '...';
+        }
+        
+        return str;
+    }
+    
+    // Canonical profiles of raw users keyed by user ID, included in JSON exports next to the raw data
+    function getCanonicalProfiles(rawDataById) {
+        const profiles = {};
+        Object.keys(rawDataById).forEach(userId => {
+            if (rawDataById[userId]) profiles[userId] = FollowSaverNormalizer.normalize(rawDataById[userId]).profile;
+        });
+        return profiles;
+    }
+
+    // Optimized CSV conversion with chunking to prevent UI blocking
+    async function convertToCSV(data) {
+        if (!data.length) return '';
+        
+        const headers = Object.keys(data[0]);
+        const csvHeaders = headers.map(sanitizeCSVField).join(',');
+        
+        // Process data in chunks to avoid blocking the UI
+        const CHUNK_SIZE = 100;
+        const csvRows = [];
+        
+        for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+            const chunk = data.slice(i, Math.min(i + CHUNK_SIZE, data.length));
+            
+            // Process chunk
+            const chunkRows = chunk.map(row => 
+                headers.map(header => sanitizeCSVField(row[header])).join(',')
+            );
+            
+            csvRows.push(...chunkRows);
+            
+            // Yield control back to the browser every chunk to prevent blocking
+            if (i + CHUNK_SIZE < data.length) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        return csvHeaders + '\n' + csvRows.join('\n');
+    }
+    
+    // Legacy synchronous version for small datasets
+    function convertToCSVSync(data) {
+        if (!data.length) return '';
+        
+        const headers = Object.keys(data[0]);
+        const csvHeaders = headers.map(sanitizeCSVField).join(',');
+        
+        const csvRows = data.map(row => 
+            headers.map(header => sanitizeCSVField(row[header])).join(',')
+        );
+        
+        return csvHeaders + '\n' + csvRows.join('\n');
+    }
+    
+    function downloadCSVFile(csvContent, filename) {
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    function downloadFile(data, filename) {
+        const jsonStr = JSON.stringify(data, null, 2);
+        const blob = new Blob([jsonStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        sanitizeCSVField,
+        getCanonicalProfiles,
+        convertToCSV,
+        convertToCSVSync,
+        downloadCSVFile,
+        downloadFile
+    };
+})();
@@ -0,0 +1,26 @@
+// ABOUTME: Display helpers shared by the extension pages: escaping text for markup and writing out counts
+// ABOUTME: Loaded ahead of the popup, data page and dashboard scripts so every page renders values the same way
+
+const FollowSaverFormat = (function() {
+    'use strict';
+
+    // Profile text, imported files, segment names and list labels are not written by the extension, so escape them before putting them in markup
+    function escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // A count with thousands separators; counts not known yet show as 0
+    function formatFullNumber(num) {
+        return Number(num || 0).toLocaleString();
+    }
+
+    return {
+        escapeHTML,
+        formatFullNumber
+    };
+})();
@@ -0,0 +1,270 @@
+// ABOUTME: Reads FollowSaver JSON and CSV export files back into collections ready to be merged into storage
+// ABOUTME: Checks every record, maps columns of older CSV versions and recovers the account, list type and date of each file
+
+const FollowSaverImporter = (function() {
+    'use strict';
+
+    // Export file names: x-<listType>[-snapshot]-<account>-<YYYY-MM-DDTHH-MM-SS>.<json|csv>
+    const FILE_NAME_PATTERN = /^x-([a-z_]+?)(?:-snapshot)?-(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})\.(?:json|csv)$/i;
+
+    // CSV headers of every release, mapped to the canonical field or edge time they hold
+    const CSV_COLUMNS = {
+        userId: ['userId', 'id', 'rest_id'],
+        handle: ['username', 'screen_name', 'handle'],
+        displayName: ['displayName', 'name', 'display_name'],
+        bio: ['bio', 'description'],
+        location: ['location'],
+        website: ['website', 'url'],
+        followersCount: ['followersCount', 'followers_count'],
+        followingCount: ['followingCount', 'friends_count', 'following_count'],
+        tweetsCount: ['tweetsCount', 'statuses_count', 'tweet_count'],
+        listedCount: ['listedCount', 'listed_count'],
+        verified: ['verified'],
+        protected: ['protected'],
+        avatar: ['profileImageUrl', 'profile_image_url_https', 'avatar'],
+        banner: ['profileBannerUrl', 'profile_banner_url'],
+        createdAt: ['createdAt', 'created_at'],
+        listType: ['accountType', 'listType'],
+        sourceAccount: ['sourceAccount', 'account'],
+        collectedAt: ['collectionDate', 'collectedAt'],
+        firstSeen: ['firstSeen'],
+        lastSeen: ['lastSeen'],
+        archivedAt: ['noLongerSeenSince']
+    };
+
+    // X user IDs are decimal strings
+    function isValidUserId(userId) {
+        return typeof userId === 'string' && /^\d+$/.test(userId);
+    }
+
+    function isValidDate(value) {
+        return typeof value === 'string' && value !== '' && !Number.isNaN(Date.parse(value));
+    }
+
+    // Dates are compared as ISO strings once stored
+    function toISODate(value) {
+        return isValidDate(value) ? new Date(value).toISOString() : null;
+    }
+
+    // Account, list type and export time encoded in an export file name
+    function parseFileName(fileName) {
+        const match = fileName.match(FILE_NAME_PATTERN);
+        if (!match) return null;
+
+        const [, listType, account, stamp] = match;
+        const [date, time] = stamp.split('T');
+        return { listType, account, takenAt: new Date(`${date}T${time.replace(/-/g, ':')}Z`).toISOString() };
+    }
+
+    // Read an export file into { collections, rejected, error }
+    function parseExportFile(fileName, text) {
+        try {
+            if (/\.json$/i.test(fileName)) return parseJSONExport(fileName, JSON.parse(text));
+            if (/\.csv$/i.test(fileName)) return parseCSVExport(fileName, text);
+            return { collections: [], rejected: 0, error: 'Not a JSON or CSV file' };
+        } catch (error) {
+            return { collections: [], rejected: 0, error: `Could not read file: ${error.message}` };
+        }
+    }
+
+    // Account and snapshot JSON exports ("raw-<listType>" and "snapshot-<listType>")
+    function parseJSONExport(fileName, data) {
+        const match = String(data?.exportType || '').match(/^(raw|snapshot)-(.+)$/);
+        const listType = match?.[2];
+        if (!match || !FollowSaverDB.LIST_TYPES[listType]) {
+            return { collections: [], rejected: 0, error: `Not a list export (${data?.exportType || 'unknown type'})` };
+        }
+
+        const accountHandles = Object.keys(data.accounts || {});
+        if (accountHandles.length !== 1) {
+            return { collections: [], rejected: 0, error: 'Expected the users of exactly one account' };
+        }
+
+        const snapshot = match[1] === 'snapshot' ? data.snapshot || null : null;
+        const takenAt = toISODate([snapshot?.startedAt, data.exportDate, parseFileName(fileName)?.takenAt].find(isValidDate));
+        if (!takenAt) {
+            return { collections: [], rejected: 0, error: 'No export date' };
+        }
+
+        const rawUsers = data.accounts[accountHandles[0]] || {};
+        const noLongerSeen = data.noLongerSeen || {};
+        const users = [];
+        let rejected = 0;
+
+        Object.keys(rawUsers).forEach(userId => {
+            const rawData = rawUsers[userId];
+            if (!isValidUserId(userId) || !rawData || typeof rawData !== 'object' || (rawData.rest_id && rawData.rest_id !== userId)) {
+                rejected++;
+                return;
+            }
+            users.push({
+                id: userId,
+                rawData: rawData,
+                lastSeen: toISODate(noLongerSeen[userId]?.lastSeen),
+                archivedAt: toISODate(noLongerSeen[userId]?.archivedAt)
+            });
+        });
+
+        return {
+            collections: [{
+                accountId: data.accountId || null,
+                accountHandle: accountHandles[0],
+                listType: listType,
+                takenAt: takenAt,
+                snapshot: snapshot,
+                list: data.list || null,
+                post: data.post || null,
+                users: users,
+                profileHistory: data.profileHistory || {},
+                rawProfiles: true
+            }],
+            rejected: rejected,
+            error: null
+        };
+    }
+
+    // Split CSV text into rows of fields, honouring quoted fields with commas, quotes and line breaks
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.some(value => value !== ''));
+    }
+
+    // Undo the quote that exports put in front of values starting with a formula character
+    function unescapeCSVValue(value) {
+        return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    }
+
+    // Exported column values back in their canonical types; empty cells are missing values
+    function toFieldValue(field, value) {
+        if (value === undefined || value === '') return null;
+        if (['followersCount', 'followingCount', 'tweetsCount', 'listedCount'].includes(field)) {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        if (['verified', 'protected'].includes(field)) {
+            return value === 'true' ? true : value === 'false' ? false : null;
+        }
+        return value;
+    }
+
+    // Account list CSV exports of any release; rows are grouped by source account and list type
+    function parseCSVExport(fileName, text) {
+        const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+        if (rows.length < 2) {
+            return { collections: [], rejected: 0, error: 'No rows' };
+        }
+
+        const header = rows[0].map(name => name.trim());
+        const columnIndex = {};
+        Object.keys(CSV_COLUMNS).forEach(field => {
+            const index = header.findIndex(name => CSV_COLUMNS[field].includes(name));
+            if (index !== -1) columnIndex[field] = index;
+        });
+        if (columnIndex.userId === undefined) {
+            return { collections: [], rejected: rows.length - 1, error: 'No userId column' };
+        }
+        // Change reports list followers and unfollowers under the list's own type, so their rows
+        // would pass as list members; a change column marks the file as a report, not a list
+        if (header.includes('change')) {
+            return { collections: [], rejected: rows.length - 1, error: 'A change report, not a list' };
+        }
+
+        const fromName = parseFileName(fileName);
+        const groups = {};
+        let rejected = 0;
+
+        rows.slice(1).forEach(fields => {
+            const value = field => columnIndex[field] === undefined ? undefined : unescapeCSVValue(fields[columnIndex[field]] ?? '');
+            const userId = value('userId');
+            const listType = value('listType') || fromName?.listType;
+            const accountHandle = value('sourceAccount') || fromName?.account;
+
+            // Diff and relationship exports share the columns but name no list type
+            if (!isValidUserId(userId) || !FollowSaverDB.LIST_TYPES[listType] || !accountHandle) {
+                rejected++;
+                return;
+            }
+
+            const profile = { userId };
+            ['handle', 'displayName', 'bio', 'location', 'website', 'followersCount', 'followingCount', 'tweetsCount',
+                'listedCount', 'verified', 'protected', 'avatar', 'banner', 'createdAt'].forEach(field => {
+                profile[field] = toFieldValue(field, value(field));
+            });
+            if (!profile.handle) {
+                rejected++;
+                return;
+            }
+
+            const collectedAt = toISODate(value('collectedAt'));
+            const groupKey = `${accountHandle}\n${listType}`;
+            const group = groups[groupKey] = groups[groupKey] || { accountHandle, listType, latestCollectedAt: null, users: [] };
+            if (collectedAt && (!group.latestCollectedAt || collectedAt > group.latestCollectedAt)) {
+                group.latestCollectedAt = collectedAt;
+            }
+
+            group.users.push({
+                id: userId,
+                rawData: FollowSaverNormalizer.fromProfile(profile),
+                firstSeen: toISODate(value('firstSeen')),
+                lastSeen: toISODate(value('lastSeen')) || collectedAt,
+                archivedAt: toISODate(value('archivedAt'))
+            });
+        });
+
+        const collections = Object.values(groups).map(group => ({
+            accountId: null,
+            accountHandle: group.accountHandle,
+            listType: group.listType,
+            // The file's export time, or for renamed files the latest collection time it lists
+            takenAt: fromName?.takenAt || group.latestCollectedAt || new Date().toISOString(),
+            snapshot: null,
+            list: null,
+            post: null,
+            users: group.users,
+            profileHistory: {},
+            rawProfiles: false
+        }));
+
+        return { collections, rejected, error: collections.length === 0 ? 'No list rows' : null };
+    }
+
+    return {
+        parseExportFile,
+        parseFileName
+    };
+})();
@@ -1,5 +1,5 @@
-// ABOUTME: Injected script that runs in the main world to intercept Following/Followers API requests
-// ABOUTME: This runs in the same context as the website's JavaScript to collect user data
+// ABOUTME: Injected script that runs in the main world to intercept following, followers and related list API requests
+// ABOUTME: This runs in the same context as the website's JavaScript to collect user data and report in-app navigation
 
 (function() {
     'use strict';
@@ -10,18 +10,32 @@
     const originalFetch = window.fetch.bind(window);
     const originalXHROpen = XMLHttpRequest.prototype.open;
     const originalXHRSend = XMLHttpRequest.prototype.send;
+    const originalPushState = history.pushState;
+    const originalReplaceState = history.replaceState;
     
     // Cleanup function to restore original functions
     const cleanup = () => {
         window.fetch = originalFetch;
         XMLHttpRequest.prototype.open = originalXHROpen;
         XMLHttpRequest.prototype.send = originalXHRSend;
+        history.pushState = originalPushState;
+        history.replaceState = originalReplaceState;
     };
     
     // Register cleanup on page unload
     window.addEventListener('beforeunload', cleanup);
     window.addEventListener('pagehide', cleanup);
     
+    // GraphQL list endpoints and the list type their users are stored under, from the list
+    // registry in db.js as content.js passed it on the script tag
+    const LIST_ENDPOINTS = JSON.parse(document.currentScript?.dataset.listEndpoints || '{}');
+    
+    // Name of the list endpoint a GraphQL request URL calls, or null
+    function getListEndpoint(url) {
+        if (typeof url !== 'string' || !url.includes('/api/graphql/')) return null;
+        return Object.keys(LIST_ENDPOINTS).find(endpoint => url.includes(`/${endpoint}?`)) || null;
+    }
+    
     // Create a Proxy instead of direct function override for better safety
     const fetchProxy = new Proxy(originalFetch, {
         apply: function(target, thisArg, args) {
@@ -46,14 +60,18 @@
                     // Clone response so we can read it without consuming the original
                     const clonedResponse = response.clone();
                     
-                    // Check if this is a Following or Followers API request
-                    if (typeof resource === 'string' && 
-                        resource.includes('/api/graphql/') && 
-                        (resource.includes('/Following?') || resource.includes('/Followers?'))) {
-                        
-                        const apiType = resource.includes('/Following?') ? 'Following' : 'Followers';
+                    // Check if this is one of the list API requests
+                    const apiType = getListEndpoint(resource);
+                    if (apiType) {
                         console.log(`FollowSaver: Intercepted ${apiType} API request:`, resource);
                         
+                        // Report the remaining request budget; rate-limited responses carry no users
+                        reportRateLimit(apiType, response.status, name => response.headers.get(name));
+                        if (!response.ok) {
+                            console.warn(`FollowSaver: ${apiType} API request failed with HTTP ${response.status}`);
+                            return response;
+                        }
+                        
                         // Extract response data with validation
                         clonedResponse.json()
                             .then(data => {
@@ -61,9 +79,9 @@
                                 if (validateApiResponse(data)) {
                                     console.log(`FollowSaver: ${apiType} API response data:`, data);
                                     
-                                    const timeline = data?.data?.user?.result?.timeline?.timeline;
-                                    if (timeline?.instructions) {
-                                        processUserData(timeline.instructions, apiType.toLowerCase());
+                                    const instructions = getTimelineInstructions(data);
+                                    if (instructions) {
+                                        processUserData(instructions, LIST_ENDPOINTS[apiType], getOwnerId(resource));
                                     }
                                 } else {
                                     console.warn(`FollowSaver: Invalid ${apiType} API response structure`);
@@ -72,6 +90,26 @@
                             .catch(error => {
                                 console.error(`FollowSaver: Error parsing ${apiType} API response:`, error);
                             });
+                    } else if (typeof resource === 'string' && 
+                        resource.includes('/api/graphql/') && 
+                        resource.includes('/UserByScreenName?')) {
+                        
+                        // Profile lookups carry the totals used to estimate how complete a list is
+                        clonedResponse.json()
+                            .then(processAccountProfile)
+                            .catch(error => {
+                                console.error('FollowSaver: Error parsing UserByScreenName response:', error);
+                            });
+                    } else if (typeof resource === 'string' && 
+                        resource.includes('/api/graphql/') && 
+                        resource.includes('/ListByRestId?')) {
+                        
+                        // X List details name the list and its owner
+                        clonedResponse.json()
+                            .then(processListProfile)
+                            .catch(error => {
+                                console.error('FollowSaver: Error parsing ListByRestId response:', error);
+                            });
                     }
                     
                     return response;
@@ -86,6 +124,19 @@
     // Assign the proxy to window.fetch
     window.fetch = fetchProxy;
     
+    // X navigates without reloading; tell the content script whenever the route changes
+    history.pushState = function(...args) {
+        const result = originalPushState.apply(this, args);
+        window.dispatchEvent(new CustomEvent('X_ROUTE_CHANGE'));
+        return result;
+    };
+    
+    history.replaceState = function(...args) {
+        const result = originalReplaceState.apply(this, args);
+        window.dispatchEvent(new CustomEvent('X_ROUTE_CHANGE'));
+        return result;
+    };
+    
     // Safer XMLHttpRequest interception
     XMLHttpRequest.prototype.open = function(method, url, ...rest) {
         // Store URL for later use
@@ -99,21 +150,26 @@
             console.log('FollowSaver: XHR GraphQL request:', this._xCollectorUrl);
         }
 
-        if (this._xCollectorUrl &&
-            this._xCollectorUrl.includes('/api/graphql/') &&
-            (this._xCollectorUrl.includes('/Following?') || this._xCollectorUrl.includes('/Followers?'))) {
-
+        const apiType = getListEndpoint(this._xCollectorUrl);
+        if (apiType) {
             const url = this._xCollectorUrl;
-            const apiType = url.includes('/Following?') ? 'Following' : 'Followers';
             
             this.addEventListener('load', function() {
                 console.log(`FollowSaver: Intercepted XHR ${apiType} API request:`, url);
+                
+                // Report the remaining request budget; rate-limited responses carry no users
+                reportRateLimit(apiType, this.status, name => this.getResponseHeader(name));
+                if (this.status < 200 || this.status >= 300) {
+                    console.warn(`FollowSaver: XHR ${apiType} API request failed with HTTP ${this.status}`);
+                    return;
+                }
+                
                 try {
                     const data = JSON.parse(this.responseText);
                     if (validateApiResponse(data)) {
-                        const timeline = data?.data?.user?.result?.timeline?.timeline;
-                        if (timeline?.instructions) {
-                            processUserData(timeline.instructions, apiType.toLowerCase());
+                        const instructions = getTimelineInstructions(data);
+                        if (instructions) {
+                            processUserData(instructions, LIST_ENDPOINTS[apiType], getOwnerId(url));
                         }
                     } else {
                         console.warn(`FollowSaver: Invalid XHR ${apiType} API response structure`);
@@ -122,17 +178,64 @@
                     console.error(`FollowSaver: Error parsing XHR ${apiType} API response:`, error);
                 }
             });
+        } else if (this._xCollectorUrl &&
+            this._xCollectorUrl.includes('/api/graphql/') &&
+            this._xCollectorUrl.includes('/UserByScreenName?')) {
+            
+            this.addEventListener('load', function() {
+                try {
+                    processAccountProfile(JSON.parse(this.responseText));
+                } catch (error) {
+                    console.error('FollowSaver: Error parsing XHR UserByScreenName response:', error);
+                }
+            });
+        } else if (this._xCollectorUrl &&
+            this._xCollectorUrl.includes('/api/graphql/') &&
+            this._xCollectorUrl.includes('/ListByRestId?')) {
+            
+            this.addEventListener('load', function() {
+                try {
+                    processListProfile(JSON.parse(this.responseText));
+                } catch (error) {
+                    console.error('FollowSaver: Error parsing XHR ListByRestId response:', error);
+                }
+            });
         }
         
         return originalXHRSend.apply(this, args);
     };
     
+    // Read the GraphQL variables encoded in a request URL
+    function getRequestVariables(url) {
+        try {
+            const variables = new URL(url, window.location.origin).searchParams.get('variables');
+            return variables ? JSON.parse(variables) : {};
+        } catch (e) {
+            console.warn('FollowSaver: Could not parse GraphQL request variables');
+            return {};
+        }
+    }
+    
+    // X user ID (rest_id) of the account whose list is being requested
+    function getOwnerId(url) {
+        const userId = getRequestVariables(url).userId;
+        return typeof userId === 'string' && /^[0-9]+$/.test(userId) ? userId : null;
+    }
+    
     // Validate API response structure to prevent injection attacks
     function validateApiResponse(data) {
         try {
             // Check for expected structure without trusting the data
             if (!data || typeof data !== 'object') return false;
             if (!data.data || typeof data.data !== 'object') return false;
+            
+            // X List endpoints carry their timelines under data.list instead of data.user
+            if (data.data.list) return typeof data.data.list === 'object';
+            
+            // Post likers and reposters carry theirs directly under data
+            const engagementTimeline = data.data.favoriters_timeline || data.data.retweeters_timeline;
+            if (engagementTimeline) return typeof engagementTimeline === 'object';
+            
             if (!data.data.user || typeof data.data.user !== 'object') return false;
             if (!data.data.user.result || typeof data.data.user.result !== 'object') return false;
             
@@ -163,61 +266,184 @@
         }
     }
     
-    // Validate user entry structure
-    function validateUserEntry(entry) {
+    // Entries an instruction adds or changes, with module items unwrapped into plain entries.
+    // TimelineAddEntries carries entries (some of them modules), TimelineAddToModule module
+    // items, TimelineReplaceEntry and TimelinePinEntry a single entry.
+    function getTimelineEntries(instruction) {
+        let entries = [];
+        if (Array.isArray(instruction.entries)) {
+            entries = instruction.entries;
+        } else if (Array.isArray(instruction.moduleItems)) {
+            entries = instruction.moduleItems;
+        } else if (instruction.entry) {
+            entries = [instruction.entry];
+        }
+        
+        return entries.flatMap(entry => {
+            const moduleItems = entry?.content?.items || (entry?.item ? [entry] : null);
+            if (!Array.isArray(moduleItems)) return [entry];
+            
+            return moduleItems.map(moduleItem => ({
+                entryId: moduleItem?.entryId || entry.entryId,
+                sortIndex: entry.sortIndex,
+                content: { itemContent: moduleItem?.item?.itemContent }
+            }));
+        });
+    }
+    
+    // Why a timeline entry holds no storable user, or null when it does
+    function getEntrySkipReason(entry) {
         try {
-            if (!entry?.content?.itemContent) return false;
-            if (entry.content.itemContent.itemType !== 'TimelineUser') return false;
-            if (!entry.content.itemContent.user_results?.result) return false;
+            if (getCursorEntry(entry)) return 'cursor';
             
-            const user = entry.content.itemContent.user_results.result;
-            if (!user.rest_id || typeof user.rest_id !== 'string') return false;
+            const itemContent = entry?.content?.itemContent;
+            if (!itemContent) return 'no item content';
+            if (itemContent.itemType !== 'TimelineUser') return `item type ${itemContent.itemType || 'unknown'}`;
             
-            return true;
+            const user = itemContent.user_results?.result;
+            if (!user) return 'empty user result';
+            if (user.__typename === 'UserUnavailable') return 'user unavailable';
+            if (!user.rest_id || typeof user.rest_id !== 'string') return 'missing user ID';
+            
+            return null;
         } catch (e) {
-            return false;
+            return 'invalid entry';
         }
     }
     
-    // Limit data size to prevent memory issues
-    function truncateUserData(user) {
-        // Convert to JSON string to check size
-        const jsonStr = JSON.stringify(user);
-        const MAX_USER_SIZE = 50000; // 50KB per user limit
-
-        if (jsonStr.length > MAX_USER_SIZE) {
-            console.warn(`FollowSaver: User data exceeds size limit (${jsonStr.length} bytes), truncating...`);
-
-            // Keep ALL essential fields when data is too large
-            return {
-                rest_id: user.rest_id,
-                core: {
-                    name: user.core?.name,
-                    screen_name: user.core?.screen_name,
-                    created_at: user.core?.created_at
-                },
-                legacy: {
-                    description: user.legacy?.description?.substring(0, 500),
-                    location: user.legacy?.location,
-                    url: user.legacy?.url,
-                    followers_count: user.legacy?.followers_count,
-                    friends_count: user.legacy?.friends_count,
-                    statuses_count: user.legacy?.statuses_count,
-                    listed_count: user.legacy?.listed_count,
-                    verified: user.legacy?.verified,
-                    protected: user.legacy?.protected,
-                    profile_image_url_https: user.legacy?.profile_image_url_https,
-                    profile_banner_url: user.legacy?.profile_banner_url
-                }
-            };
+    // Forward the rate-limit headers and HTTP status of a collection request
+    function reportRateLimit(endpoint, status, getHeader) {
+        const readHeader = name => {
+            const value = parseInt(getHeader(name), 10);
+            return Number.isNaN(value) ? null : value;
+        };
+        
+        const limit = readHeader('x-rate-limit-limit');
+        const remaining = readHeader('x-rate-limit-remaining');
+        const reset = readHeader('x-rate-limit-reset'); // Epoch seconds
+        
+        if (status !== 429 && remaining === null) return;
+        
+        const rateLimit = {
+            endpoint: endpoint,
+            status: status,
+            limited: status === 429 || remaining === 0,
+            limit: limit,
+            remaining: remaining,
+            resetAt: reset !== null ? new Date(reset * 1000).toISOString() : null
+        };
+        
+        if (rateLimit.limited) {
+            console.warn(`FollowSaver: ${endpoint} API rate limited until ${rateLimit.resetAt || 'unknown'}`);
         }
-
-        return user;
+        
+        window.dispatchEvent(new CustomEvent('X_RATE_LIMIT', { detail: rateLimit }));
+    }
+    
+    // Forward the ID, handle and follower/following totals of a looked-up profile
+    function processAccountProfile(data) {
+        if (!validateApiResponse(data)) return;
+        
+        const user = data.data.user.result;
+        if (typeof user.rest_id !== 'string') return;
+        
+        const profile = {
+            ownerId: user.rest_id,
+            handle: user.core?.screen_name || user.legacy?.screen_name,
+            followersCount: user.legacy?.followers_count,
+            followingCount: user.legacy?.friends_count
+        };
+        
+        if (!profile.handle) return;
+        
+        console.log('FollowSaver: Account profile loaded:', profile);
+        window.dispatchEvent(new CustomEvent('X_ACCOUNT_PROFILE', { detail: profile }));
     }
     
-    function processUserData(instructions, dataType) {
+    // Name, owner and totals of an X List, sent when its page loads
+    function processListProfile(data) {
+        const list = data?.data?.list;
+        if (!list || typeof list !== 'object' || typeof list.id_str !== 'string') return;
+        
+        const owner = list.user_results?.result;
+        const profile = {
+            listId: list.id_str,
+            name: typeof list.name === 'string' ? list.name : null,
+            description: typeof list.description === 'string' ? list.description : null,
+            ownerId: typeof owner?.rest_id === 'string' ? owner.rest_id : null,
+            ownerHandle: owner?.core?.screen_name || owner?.legacy?.screen_name || null,
+            memberCount: list.member_count,
+            subscriberCount: list.subscriber_count
+        };
+        
+        console.log('FollowSaver: X List loaded:', profile);
+        window.dispatchEvent(new CustomEvent('X_LIST_PROFILE', { detail: profile }));
+    }
+    
+    // Timeline instructions of a list response; X List endpoints nest them under data.list and
+    // post likers/reposters sit directly under data
+    function getTimelineInstructions(data) {
+        const result = data.data.list || data.data.user?.result || data.data;
+        const timeline = result.timeline || result.members_timeline || result.subscribers_timeline ||
+            result.favoriters_timeline || result.retweeters_timeline;
+        const instructions = timeline?.timeline?.instructions;
+        return Array.isArray(instructions) ? instructions : null;
+    }
+    
+    // Read a timeline cursor entry, returning its type ('Top' or 'Bottom') and value
+    function getCursorEntry(entry) {
+        const content = entry?.content;
+        if (!content || content.entryType !== 'TimelineTimelineCursor') return null;
+        if (typeof content.value !== 'string') return null;
+        
+        const cursorType = content.cursorType ||
+            (entry.entryId?.startsWith('cursor-bottom') ? 'Bottom' : entry.entryId?.startsWith('cursor-top') ? 'Top' : null);
+        return cursorType ? { cursorType, value: content.value } : null;
+    }
+    
+    // Collect the top and bottom cursors of a response so the end of the list can be detected
+    function getPagination(instructions, userCount) {
+        const pagination = { topCursor: null, bottomCursor: null, reachedEnd: false };
+        
+        for (const instruction of instructions) {
+            if (!validateInstruction(instruction)) continue;
+            
+            for (const entry of getTimelineEntries(instruction)) {
+                const cursor = getCursorEntry(entry);
+                if (cursor?.cursorType === 'Bottom') pagination.bottomCursor = cursor.value;
+                if (cursor?.cursorType === 'Top') pagination.topCursor = cursor.value;
+            }
+        }
+        
+        // X returns a bottom cursor starting with "0|", or a last page of users without one, once the
+        // list has been read to the end. A response with neither users nor a cursor (an error page, or
+        // instructions in a shape this script no longer recognizes) leaves the pass open.
+        pagination.reachedEnd = pagination.bottomCursor ? pagination.bottomCursor.startsWith('0|') : userCount > 0;
+        return pagination;
+    }
+    
+    // Users per X_USER_DATA event; larger responses are delivered in several chunks
+    const MAX_USERS_PER_EVENT = 100;
+    
+    let responseCounter = 0;
+    
+    function processUserData(instructions, dataType, ownerId) {
         const users = [];
-        const MAX_USERS_PER_BATCH = 100; // Limit users per batch to prevent memory issues
+        const seenIds = new Set();
+        
+        // Per-response counters, sent along so a collection pass can be audited
+        const diagnostics = {
+            responseId: `${Date.now()}-${++responseCounter}`,
+            receivedAt: new Date().toISOString(),
+            dataType: dataType,
+            instructions: {},
+            entriesSeen: 0,
+            usersFound: 0,
+            skipped: {}
+        };
+        const skip = reason => {
+            diagnostics.skipped[reason] = (diagnostics.skipped[reason] || 0) + 1;
+        };
         
         // Validate instructions array
         if (!Array.isArray(instructions)) {
@@ -225,81 +451,99 @@
             return;
         }
         
-        try {
-            for (const instruction of instructions) {
-                // Validate instruction structure
-                if (!validateInstruction(instruction)) {
-                    console.warn('FollowSaver: Skipping invalid instruction');
-                    continue;
-                }
+        for (const instruction of instructions) {
+            // Validate instruction structure
+            if (!validateInstruction(instruction)) {
+                console.warn('FollowSaver: Skipping invalid instruction');
+                diagnostics.instructions.invalid = (diagnostics.instructions.invalid || 0) + 1;
+                continue;
+            }
+            
+            diagnostics.instructions[instruction.type] = (diagnostics.instructions[instruction.type] || 0) + 1;
+            
+            for (const entry of getTimelineEntries(instruction)) {
+                diagnostics.entriesSeen++;
                 
-                if (instruction.type === 'TimelineAddEntries' && instruction.entries) {
-                    for (const entry of instruction.entries) {
-                        // Stop if we've collected enough users in this batch
-                        if (users.length >= MAX_USERS_PER_BATCH) {
-                            console.log(`FollowSaver: Reached batch limit of ${MAX_USERS_PER_BATCH} users`);
-                            break;
-                        }
-                        
-                        // Validate entry structure
-                        if (!validateUserEntry(entry)) {
-                            continue;
-                        }
-                        
-                        const user = entry.content.itemContent.user_results.result;
-
-
-                        // Truncate large user data to prevent memory issues
-                        const truncatedUser = truncateUserData(user);
-
-                        // Store user data with minimal metadata
-                        const userData = {
-                            id: user.rest_id,
-                            collectedAt: new Date().toISOString(),
-                            entryId: entry.entryId || 'unknown',
-                            sortIndex: entry.sortIndex || 0,
-                            rawData: truncatedUser
-                        };
-                        
-                        users.push(userData);
+                try {
+                    const skipReason = getEntrySkipReason(entry);
+                    if (skipReason) {
+                        skip(skipReason);
+                        continue;
                     }
-                }
-                
-                // Break outer loop if batch limit reached
-                if (users.length >= MAX_USERS_PER_BATCH) {
-                    break;
+                    
+                    const user = entry.content.itemContent.user_results.result;
+                    
+                    // Replaced or pinned entries can repeat a user already in this response
+                    if (seenIds.has(user.rest_id)) {
+                        skip('duplicate in response');
+                        continue;
+                    }
+                    seenIds.add(user.rest_id);
+                    
+                    // Store user data with minimal metadata
+                    users.push({
+                        id: user.rest_id,
+                        collectedAt: new Date().toISOString(),
+                        entryId: entry.entryId || 'unknown',
+                        sortIndex: entry.sortIndex || 0,
+                        rawData: user
+                    });
+                } catch (error) {
+                    console.error('FollowSaver: Error processing user entry:', error);
+                    skip('processing error');
                 }
             }
-        } catch (error) {
-            console.error('FollowSaver: Error processing user data:', error);
-            // Continue with users collected so far
         }
         
-        if (users.length > 0) {
-            console.log(`FollowSaver: Collected ${users.length} users from ${dataType} API`);
-            
-            // Only log sample if we have valid data
-            if (users[0] && users[0].rawData) {
-                console.log(`FollowSaver: Sample ${dataType} user data:`, {
-                    id: users[0].id,
-                    screen_name: users[0].rawData.core?.screen_name,
-                    name: users[0].rawData.core?.name,
-                    location: users[0].rawData.location, // location is at top level
-                    profile_image_url_https: users[0].rawData.legacy?.profile_image_url_https,
-                    created_at: users[0].rawData.core?.created_at
-                });
-            }
-            
-            // Send to content script via custom event
+        diagnostics.usersFound = users.length;
+        
+        const pagination = getPagination(instructions, users.length);
+        if (pagination.reachedEnd) {
+            console.log(`FollowSaver: Reached the end of the ${dataType} list`);
+        }
+        
+        const skippedEntries = Object.entries(diagnostics.skipped)
+            .filter(([reason]) => reason !== 'cursor')
+            .map(([reason, count]) => `${count} ${reason}`);
+        if (skippedEntries.length > 0) {
+            console.warn(`FollowSaver: Skipped entries in ${dataType} response: ${skippedEntries.join(', ')}`);
+        }
+        
+        if (users.length === 0 && diagnostics.entriesSeen === 0 && !pagination.reachedEnd) {
+            console.log(`FollowSaver: No entries found in this ${dataType} API response`);
+            return;
+        }
+        
+        console.log(`FollowSaver: Collected ${users.length} users from ${dataType} API`);
+        
+        // Only log sample if we have valid data
+        if (users[0] && users[0].rawData) {
+            console.log(`FollowSaver: Sample ${dataType} user data:`, {
+                id: users[0].id,
+                screen_name: users[0].rawData.core?.screen_name,
+                name: users[0].rawData.core?.name,
+                location: users[0].rawData.location, // location is at top level
+                profile_image_url_https: users[0].rawData.legacy?.profile_image_url_https,
+                created_at: users[0].rawData.core?.created_at
+            });
+        }
+        
+        // Send every user to the content script in chunks; the last chunk carries the
+        // pagination and diagnostics of the whole response
+        const chunkCount = Math.max(1, Math.ceil(users.length / MAX_USERS_PER_EVENT));
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+            const isLastChunk = chunk === chunkCount - 1;
             window.dispatchEvent(new CustomEvent('X_USER_DATA', {
                 detail: {
-                    users: users,
+                    users: users.slice(chunk * MAX_USERS_PER_EVENT, (chunk + 1) * MAX_USERS_PER_EVENT),
                     url: window.location.href,
-                    dataType: dataType
+                    dataType: dataType,
+                    ownerId: ownerId,
+                    responseId: diagnostics.responseId,
+                    pagination: isLastChunk ? pagination : null,
+                    diagnostics: isLastChunk ? diagnostics : null
                 }
             }));
-        } else {
-            console.log(`FollowSaver: No valid users found in this ${dataType} API response`);
         }
     }
     
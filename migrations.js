@@ -0,0 +1,362 @@
+// ABOUTME: Versioned storage schema for FollowSaver and the runner that upgrades stored data between releases
+// ABOUTME: Backs up IndexedDB and chrome.storage.local before migrating and restores the backup if a migration fails
+
+const FollowSaverMigrations = (function() {
+    'use strict';
+
+    // chrome.storage.local keys holding the version of the stored data and the outcome of the last run
+    const VERSION_KEY = 'storageVersion';
+    const STATUS_KEY = 'migrationStatus';
+    const STORAGE_KEYS = [VERSION_KEY, STATUS_KEY];
+
+    // Keys of the old chrome.storage.local layout that now live in IndexedDB
+    const LEGACY_STORAGE_KEYS = ['userData', 'snapshots', 'profileHistory'];
+
+    // Records per backup chunk, so large stores are copied without loading them whole
+    const BACKUP_CHUNK_SIZE = 500;
+
+    // Data migrations in order. Each upgrades data written by the previous version and must leave
+    // already-upgraded data untouched, since stores written before versioning start at version 0.
+    // DB_VERSION in db.js covers object stores and indexes; these cover the shape of the records.
+    const MIGRATIONS = [
+        { version: 1, description: 'Move the chrome.storage.local blob into IndexedDB', migrate: moveLegacyStorage },
+        { version: 2, description: 'Store each profile once, apart from its list edges', migrate: moveProfilesOutOfEdges },
+        { version: 3, description: 'Fill in the collection and first-seen times of older edges', migrate: backfillEdgeTimes },
+        { version: 4, description: 'Count earlier collection passes from their snapshots', migrate: countEarlierPasses }
+    ];
+
+    const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    let migrationPromise = null;
+
+    // Upgrade stored data to the current version once per service worker start
+    function ensureMigrated() {
+        if (!migrationPromise) {
+            migrationPromise = runPendingMigrations().catch(error => {
+                console.error('FollowSaver: Error checking the storage version:', error);
+                return { fromVersion: null, toVersion: null, migrated: false, error: String(error?.message || error) };
+            });
+        }
+        return migrationPromise;
+    }
+
+    // Upgrade data that was just put back from an older backup archive
+    function migrateStoredData() {
+        migrationPromise = runPendingMigrations();
+        return migrationPromise;
+    }
+
+    // Version of the stored data. Stores written before versioning hold data from some older
+    // release and start at 0; a fresh install starts at the current version.
+    async function getStorageVersion() {
+        const result = await chrome.storage.local.get([VERSION_KEY, ...LEGACY_STORAGE_KEYS]);
+        if (Number.isInteger(result[VERSION_KEY])) return result[VERSION_KEY];
+
+        const hasLegacyData = LEGACY_STORAGE_KEYS.some(key => result[key]);
+        const hasStoredUsers = (await FollowSaverDB.getAccounts()).length > 0;
+        return hasLegacyData || hasStoredUsers ? 0 : CURRENT_VERSION;
+    }
+
+    async function runPendingMigrations() {
+        const fromVersion = await getStorageVersion();
+        const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+        if (pending.length === 0) {
+            await chrome.storage.local.set({ [VERSION_KEY]: fromVersion });
+            return { fromVersion, toVersion: fromVersion, migrated: false };
+        }
+
+        console.log(`FollowSaver: Migrating stored data from version ${fromVersion} to ${CURRENT_VERSION}`);
+        const recordFailure = async (failedVersion, error, backupId) => {
+            const status = {
+                failed: true,
+                fromVersion: fromVersion,
+                failedVersion: failedVersion,
+                error: String(error?.message || error),
+                backupId: backupId,
+                ranAt: new Date().toISOString()
+            };
+            await chrome.storage.local.set({ [STATUS_KEY]: status });
+            return { fromVersion, toVersion: fromVersion, migrated: false, error: status.error };
+        };
+
+        // Without a backup nothing is migrated
+        let backupId;
+        try {
+            backupId = await createBackup(fromVersion);
+        } catch (error) {
+            console.error('FollowSaver: Could not back up stored data, migration skipped:', error);
+            return recordFailure(pending[0].version, error, null);
+        }
+
+        for (const migration of pending) {
+            try {
+                await migration.migrate();
+                await chrome.storage.local.set({ [VERSION_KEY]: migration.version });
+                console.log(`FollowSaver: Storage migration ${migration.version} done (${migration.description})`);
+            } catch (error) {
+                console.error(`FollowSaver: Storage migration ${migration.version} failed, restoring backup:`, error);
+                try {
+                    await restoreBackup(backupId);
+                } catch (restoreError) {
+                    // The backup stays in the backups store for a later restore
+                    console.error(`FollowSaver: Could not restore ${backupId}:`, restoreError);
+                }
+                return recordFailure(migration.version, error, backupId);
+            }
+        }
+
+        await chrome.storage.local.set({
+            [STATUS_KEY]: { failed: false, fromVersion, toVersion: CURRENT_VERSION, backupId, ranAt: new Date().toISOString() }
+        });
+        return { fromVersion, toVersion: CURRENT_VERSION, migrated: true };
+    }
+
+    // Outcome of the last migration run, or null before the first one
+    async function getStatus() {
+        const result = await chrome.storage.local.get([STATUS_KEY, VERSION_KEY]);
+        return result[STATUS_KEY] ? { ...result[STATUS_KEY], storageVersion: result[VERSION_KEY] ?? null, currentVersion: CURRENT_VERSION } : null;
+    }
+
+    // Copy every object store and chrome.storage.local into the backups store, then drop older
+    // backups so only the one taken before the latest migration is kept
+    async function createBackup(fromVersion) {
+        const { STORES, promisify } = FollowSaverDB;
+        const backupId = `pre-migration-${Date.now()}`;
+        const storeNames = Object.values(STORES).filter(storeName => storeName !== STORES.BACKUPS);
+
+        for (const storeName of storeNames) {
+            let lastKey = null;
+            let chunk = 0;
+
+            while (true) {
+                const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+                const { records, keys } = await FollowSaverDB.run([storeName], 'readonly', async tx => ({
+                    records: await promisify(tx.objectStore(storeName).getAll(range, BACKUP_CHUNK_SIZE)),
+                    keys: await promisify(tx.objectStore(storeName).getAllKeys(range, BACKUP_CHUNK_SIZE))
+                }));
+                if (records.length === 0) break;
+
+                await FollowSaverDB.run([STORES.BACKUPS], 'readwrite', tx => {
+                    tx.objectStore(STORES.BACKUPS).put({ backupId, store: storeName, chunk: chunk++, records });
+                });
+                lastKey = keys[keys.length - 1];
+            }
+        }
+
+        // The manifest is written last, so a backup without one is incomplete
+        const storage = await chrome.storage.local.get(null);
+        await FollowSaverDB.run([STORES.BACKUPS], 'readwrite', async tx => {
+            const backupsStore = tx.objectStore(STORES.BACKUPS);
+            backupsStore.put({ backupId, store: '', chunk: 0, createdAt: new Date().toISOString(), fromVersion, storeNames, storage });
+
+            const keys = await promisify(backupsStore.getAllKeys());
+            keys.filter(key => key[0] !== backupId).forEach(key => backupsStore.delete(key));
+        });
+
+        console.log(`FollowSaver: Backed up stored data as ${backupId}`);
+        return backupId;
+    }
+
+    // Put every store and chrome.storage.local back the way the backup found them
+    async function restoreBackup(backupId) {
+        const { STORES, promisify } = FollowSaverDB;
+        const backupRange = IDBKeyRange.bound([backupId], [backupId, []]);
+
+        const manifest = await FollowSaverDB.run([STORES.BACKUPS], 'readonly', tx =>
+            promisify(tx.objectStore(STORES.BACKUPS).get([backupId, '', 0])));
+        if (!manifest) throw new Error(`Backup ${backupId} is incomplete`);
+
+        await FollowSaverDB.run(manifest.storeNames, 'readwrite', tx => {
+            manifest.storeNames.forEach(storeName => tx.objectStore(storeName).clear());
+        });
+
+        const chunkKeys = await FollowSaverDB.run([STORES.BACKUPS], 'readonly', tx =>
+            promisify(tx.objectStore(STORES.BACKUPS).getAllKeys(backupRange)));
+
+        for (const key of chunkKeys) {
+            if (key[1] === '') continue;
+
+            await FollowSaverDB.run([STORES.BACKUPS, key[1]], 'readwrite', async tx => {
+                const { records } = await promisify(tx.objectStore(STORES.BACKUPS).get(key));
+                const store = tx.objectStore(key[1]);
+                records.forEach(record => store.put(record));
+            });
+        }
+
+        await chrome.storage.local.clear();
+        await chrome.storage.local.set(manifest.storage);
+        console.log(`FollowSaver: Restored stored data from ${backupId}`);
+    }
+
+    // Version 1: the first releases kept everything in one chrome.storage.local blob
+    async function moveLegacyStorage() {
+        const legacy = await chrome.storage.local.get(LEGACY_STORAGE_KEYS);
+        if (!legacy.userData && !legacy.snapshots && !legacy.profileHistory) return;
+
+        const { STORES } = FollowSaverDB;
+        let migratedUsers = 0;
+
+        await FollowSaverDB.run([STORES.USERS, STORES.PROFILES, STORES.SNAPSHOTS, STORES.SNAPSHOT_USERS, STORES.PROFILE_HISTORY], 'readwrite', tx => {
+            const usersStore = tx.objectStore(STORES.USERS);
+            const profilesStore = tx.objectStore(STORES.PROFILES);
+            const profileSeenAt = {};
+            for (const account in legacy.userData || {}) {
+                for (const listType of ['following', 'followers']) {
+                    const users = legacy.userData[account][listType] || {};
+                    for (const userId in users) {
+                        const lastSeen = users[userId].lastSeen || users[userId].collectedAt || new Date().toISOString();
+                        const { edge, profile } = FollowSaverDB.splitUserRecord({
+                            ...users[userId],
+                            id: userId,
+                            account: account,
+                            listType: listType,
+                            lastSeen: lastSeen
+                        }, lastSeen);
+
+                        usersStore.put(edge);
+                        // The same person may appear under several accounts; keep the newest copy
+                        if (!profileSeenAt[userId] || lastSeen > profileSeenAt[userId]) {
+                            profileSeenAt[userId] = lastSeen;
+                            profilesStore.put(profile);
+                        }
+                        migratedUsers++;
+                    }
+                }
+            }
+
+            const snapshotsStore = tx.objectStore(STORES.SNAPSHOTS);
+            const snapshotUsersStore = tx.objectStore(STORES.SNAPSHOT_USERS);
+            Object.values(legacy.snapshots || {}).forEach(({ userIds, ...snapshot }) => {
+                snapshotsStore.put(snapshot);
+                (userIds || []).forEach(userId => snapshotUsersStore.put({ snapshotId: snapshot.id, userId }));
+            });
+
+            const historyStore = tx.objectStore(STORES.PROFILE_HISTORY);
+            for (const userId in legacy.profileHistory || {}) {
+                historyStore.put({ id: userId, ...legacy.profileHistory[userId] });
+            }
+        });
+
+        await chrome.storage.local.remove(LEGACY_STORAGE_KEYS);
+        console.log(`FollowSaver: Migrated ${migratedUsers} users from chrome.storage.local to IndexedDB`);
+    }
+
+    // Visit every record of a store in one read-write transaction
+    function updateEachRecord(storeNames, storeName, visit) {
+        return FollowSaverDB.run(storeNames, 'readwrite', tx => new Promise((resolve, reject) => {
+            const request = tx.objectStore(storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                visit(cursor, tx);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    // Version 2: each user record carried its own copy of the raw profile. Keep the most recently
+    // seen copy per user ID in the profiles store and strip the edges down.
+    async function moveProfilesOutOfEdges() {
+        const { STORES } = FollowSaverDB;
+        const profileSeenAt = {};
+
+        await updateEachRecord([STORES.USERS, STORES.PROFILES], STORES.USERS, (cursor, tx) => {
+            if (!cursor.value.rawData) return;
+
+            const { edge, profile } = FollowSaverDB.splitUserRecord(cursor.value, cursor.value.lastSeen);
+            if (!profileSeenAt[edge.id] || edge.lastSeen > profileSeenAt[edge.id]) {
+                profileSeenAt[edge.id] = edge.lastSeen;
+                tx.objectStore(STORES.PROFILES).put(profile);
+            }
+            cursor.update(edge);
+        });
+    }
+
+    // Version 3: edges from older releases may lack collectedAt, firstSeen or archivedAt
+    async function backfillEdgeTimes() {
+        const { STORES } = FollowSaverDB;
+
+        await updateEachRecord([STORES.USERS], STORES.USERS, cursor => {
+            const edge = cursor.value;
+            if (edge.collectedAt && edge.firstSeen && edge.archivedAt !== undefined) return;
+
+            cursor.update({
+                ...edge,
+                collectedAt: edge.collectedAt || edge.lastSeen,
+                firstSeen: edge.firstSeen || edge.collectedAt || edge.lastSeen,
+                archivedAt: edge.archivedAt ?? null
+            });
+        });
+    }
+
+    // Version 4: counts are recorded for every collection pass (see recordPassCount in background.js).
+    // Passes from before then are counted from their snapshots: users new to the list since any
+    // earlier pass, and users of the previous complete pass missing from a complete one. Imported
+    // snapshots are not collection passes and are left out.
+    async function countEarlierPasses() {
+        const { STORES, promisify } = FollowSaverDB;
+        const result = await chrome.storage.local.get(['passCounts']);
+        const passCounts = result.passCounts || {};
+
+        const snapshots = await FollowSaverDB.run([STORES.SNAPSHOTS], 'readonly', tx =>
+            promisify(tx.objectStore(STORES.SNAPSHOTS).getAll()));
+        snapshots.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+
+        // Users seen in any earlier pass and in the latest complete pass, per list
+        const seenIds = {};
+        const completeIds = {};
+
+        for (const snapshot of snapshots.filter(candidate => !candidate.imported)) {
+            const listKey = `${snapshot.account}|${snapshot.listType}`;
+            const keys = await FollowSaverDB.run([STORES.SNAPSHOT_USERS], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.SNAPSHOT_USERS).index('snapshotId').getAllKeys(snapshot.id)));
+            const userIds = keys.map(key => key[1]);
+
+            const earlierIds = seenIds[listKey];
+            const previousIds = completeIds[listKey];
+            const entry = {
+                passId: snapshot.id,
+                startedAt: snapshot.startedAt,
+                recordedAt: snapshot.endedAt || snapshot.startedAt,
+                complete: Boolean(snapshot.complete),
+                seen: userIds.length,
+                reported: null,
+                gained: earlierIds ? userIds.filter(userId => !earlierIds.has(userId)).length : null,
+                lost: null
+            };
+            if (snapshot.complete && previousIds) {
+                const currentIds = new Set(userIds);
+                entry.lost = [...previousIds].filter(userId => !currentIds.has(userId)).length;
+            }
+
+            seenIds[listKey] = earlierIds || new Set();
+            userIds.forEach(userId => seenIds[listKey].add(userId));
+            if (snapshot.complete) completeIds[listKey] = new Set(userIds);
+
+            // Passes counted already are kept as they are
+            passCounts[snapshot.account] = passCounts[snapshot.account] || {};
+            const entries = passCounts[snapshot.account][snapshot.listType] = passCounts[snapshot.account][snapshot.listType] || [];
+            if (!entries.some(existing => existing.passId === entry.passId)) {
+                entries.push(entry);
+            }
+        }
+
+        Object.values(passCounts).forEach(lists => Object.values(lists).forEach(entries =>
+            entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt))));
+        await chrome.storage.local.set({ passCounts });
+    }
+
+    return {
+        CURRENT_VERSION,
+        STORAGE_KEYS,
+        ensureMigrated,
+        migrateStoredData,
+        getStatus
+    };
+})();
@@ -0,0 +1,195 @@
+// ABOUTME: Schema-driven normalizer that turns raw X GraphQL users into versioned canonical profiles
+// ABOUTME: Shared by the content script, background worker, popup and dashboard; reports where responses drift from schema.json
+
+const FollowSaverNormalizer = (function() {
+    'use strict';
+
+    const MAX_COMPACT_STRING_LENGTH = 500; // Longest string kept when an oversized user is compacted
+
+    let schema = null;
+    let loadPromise = null;
+
+    // Fetch schema.json once; every caller waits on the same promise
+    function load(schemaUrl) {
+        if (!loadPromise) {
+            loadPromise = fetch(schemaUrl)
+                .then(response => response.json())
+                .then(json => {
+                    schema = json;
+                    return FollowSaverNormalizer;
+                })
+                .catch(error => {
+                    loadPromise = null;
+                    throw error;
+                });
+        }
+        return loadPromise;
+    }
+
+    function getCanonicalSpec() {
+        if (!schema) throw new Error('FollowSaver: schema.json has not been loaded');
+        return schema['x-canonicalProfile'];
+    }
+
+    // Version stamped on every canonical profile
+    function getVersion() {
+        return getCanonicalSpec().version;
+    }
+
+    // Read a dotted path such as "legacy.entities.url.urls.0.expanded_url"
+    function readPath(object, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+    }
+
+    // Follow a "#/definitions/<name>" reference
+    function resolveRef(node) {
+        if (node?.$ref) {
+            return schema.definitions?.[node.$ref.replace('#/definitions/', '')];
+        }
+        return node;
+    }
+
+    // Paths of a raw user that schema.json does not describe. Objects the schema lists without
+    // properties may hold anything; arrays are checked through their first item.
+    function findUnknownPaths(value, node, prefix, unknownPaths) {
+        node = resolveRef(node);
+        if (!node || value === null || typeof value !== 'object') return unknownPaths;
+
+        if (Array.isArray(value)) {
+            if (value.length > 0 && node.items) {
+                findUnknownPaths(value[0], node.items, `${prefix}[]`, unknownPaths);
+            }
+            return unknownPaths;
+        }
+
+        if (!node.properties) return unknownPaths;
+
+        Object.keys(value).forEach(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (!node.properties[key]) {
+                unknownPaths.push(path);
+            } else {
+                findUnknownPaths(value[key], node.properties[key], path, unknownPaths);
+            }
+        });
+        return unknownPaths;
+    }
+
+    // Canonical profile of a raw user, plus the unknown paths and unresolved required fields it shows.
+    // Fields that resolve to nothing are null.
+    function normalize(rawData) {
+        const spec = getCanonicalSpec();
+        const profile = { schemaVersion: spec.version };
+        const missingPaths = [];
+
+        Object.keys(spec.fields).forEach(field => {
+            const fieldSpec = spec.fields[field];
+            let value = null;
+
+            for (const path of fieldSpec.paths) {
+                const candidate = readPath(rawData, path);
+                if (candidate !== undefined && candidate !== null && typeof candidate === fieldSpec.type) {
+                    value = candidate;
+                    break;
+                }
+            }
+
+            if (value === null && fieldSpec.required) {
+                missingPaths.push(`${field} (${fieldSpec.paths.join(' | ')})`);
+            }
+            profile[field] = value;
+        });
+
+        return {
+            profile: profile,
+            drift: {
+                unknownPaths: findUnknownPaths(rawData, schema, '', []),
+                missingPaths: missingPaths
+            }
+        };
+    }
+
+    // Write a value at a dotted path, creating objects (or arrays for numeric keys) on the way
+    function writePath(object, path, value) {
+        const keys = path.split('.');
+        let target = object;
+        keys.slice(0, -1).forEach((key, index) => {
+            if (target[key] === undefined) {
+                target[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+
+    // Copy of a raw user keeping only the paths the canonical profile reads, for oversized payloads
+    function compact(rawData) {
+        const compacted = {};
+
+        Object.values(getCanonicalSpec().fields).forEach(fieldSpec => {
+            fieldSpec.paths.forEach(path => {
+                let value = readPath(rawData, path);
+                if (value === undefined || (value !== null && typeof value === 'object')) return;
+                if (typeof value === 'string') value = value.substring(0, MAX_COMPACT_STRING_LENGTH);
+                writePath(compacted, path, value);
+            });
+        });
+
+        return compacted;
+    }
+
+    // Raw user in the current GraphQL layout built from canonical fields, for imports that only
+    // carry the exported columns. Each field is written to its first (current) path.
+    function fromProfile(profile) {
+        const rawData = {};
+        const fields = getCanonicalSpec().fields;
+
+        Object.keys(fields).forEach(field => {
+            const value = profile[field];
+            if (value === undefined || value === null || typeof value !== fields[field].type) return;
+            writePath(rawData, fields[field].paths[0], value);
+        });
+
+        return rawData;
+    }
+
+    // Export columns of a user, read from its canonical profile. Shared by the CSV exports and the
+    // dashboard so both show the same values.
+    function toUserFields(profile, accountName, dataType, collectedAt) {
+        return {
+            userId: profile.userId ?? '',
+            username: profile.handle ?? '',
+            displayName: profile.displayName ?? '',
+            bio: profile.bio ?? '',
+            location: profile.location ?? '',
+            website: profile.website ?? '',
+            followersCount: profile.followersCount ?? 0,
+            followingCount: profile.followingCount ?? 0,
+            tweetsCount: profile.tweetsCount ?? 0,
+            listedCount: profile.listedCount ?? 0,
+            verified: profile.verified ?? false,
+            protected: profile.protected ?? false,
+            profileImageUrl: profile.avatar ?? '',
+            profileBannerUrl: profile.banner ?? '',
+            createdAt: profile.createdAt ?? '',
+            accountType: dataType,
+            sourceAccount: accountName,
+            collectionDate: collectedAt || ''
+        };
+    }
+
+    // Export columns of a raw user
+    function extractUserFields(rawData, accountName, dataType, collectedAt) {
+        return toUserFields(normalize(rawData).profile, accountName, dataType, collectedAt);
+    }
+
+    return {
+        load,
+        getVersion,
+        normalize,
+        compact,
+        fromProfile,
+        toUserFields,
+        extractUserFields
+    };
+})();
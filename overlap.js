@@ -0,0 +1,75 @@
+// ABOUTME: Set operations across collected lists: intersection, union and difference of any accounts' list types
+// ABOUTME: Groups dashboard rows into one set per account and list, counts pairwise overlaps and combines chosen sets
+
+const FollowSaverOverlap = (function() {
+    'use strict';
+
+    // One set per account and list type, in the order the rows first mention them. Only users
+    // currently on a list count; users no longer seen there have left it.
+    function getSets(rows) {
+        const sets = new Map();
+        rows.forEach(row => {
+            if (row.noLongerSeenSince) return;
+
+            const key = `${row.account}|${row.accountType}`;
+            if (!sets.has(key)) {
+                sets.set(key, {
+                    key,
+                    account: row.account,
+                    listType: row.accountType,
+                    label: `${row.accountLabel} · ${row.listLabel}`,
+                    rowsById: new Map()
+                });
+            }
+            sets.get(key).rowsById.set(row.userId, row);
+        });
+        return Array.from(sets.values());
+    }
+
+    function countShared(setA, setB) {
+        const [smaller, larger] = setA.rowsById.size <= setB.rowsById.size ? [setA, setB] : [setB, setA];
+        let count = 0;
+        smaller.rowsById.forEach((row, userId) => {
+            if (larger.rowsById.has(userId)) count++;
+        });
+        return count;
+    }
+
+    // Users in both sets for every pair; the diagonal holds each set's size
+    function countMatrix(sets) {
+        return sets.map((setA, i) => sets.map((setB, j) => (i === j ? setA.rowsById.size : countShared(setA, setB))));
+    }
+
+    // Users in all (match 'all') or any (match 'any') of the included sets and in none of the
+    // excluded ones, one row each, taken from the first included set that has the user
+    function combine({ include, exclude = [], match = 'all' }) {
+        if (include.length === 0) return [];
+
+        const isExcluded = userId => exclude.some(set => set.rowsById.has(userId));
+        const result = new Map();
+        // Everyone in all the sets is in the first one, so that is the only set to walk
+        const candidateSets = match === 'all' ? include.slice(0, 1) : include;
+        candidateSets.forEach(set => {
+            set.rowsById.forEach((row, userId) => {
+                if (result.has(userId) || isExcluded(userId)) return;
+                if (match === 'all' && !include.every(other => other.rowsById.has(userId))) return;
+                result.set(userId, row);
+            });
+        });
+        return Array.from(result.values());
+    }
+
+    // Plain-language summary of a combination, e.g. "In @a · Followers and @b · Followers, not in @c · Following"
+    function describe({ include, exclude = [], match = 'all' }) {
+        const joiner = match === 'all' ? ' and ' : ' or ';
+        const included = `In ${include.map(set => set.label).join(joiner)}`;
+        return exclude.length > 0 ? `${included}, not in ${exclude.map(set => set.label).join(' or ')}` : included;
+    }
+
+    return {
+        getSets,
+        countMatrix,
+        combine,
+        describe
+    };
+})();
@@ -184,7 +184,7 @@ check_environment() {
     fi
 
     # Check for required files
-    local required_files=("background.js" "content.js" "popup.html" "popup.js" "popup.css")
+    local required_files=("background.js" "db.js" "migrations.js" "normalizer.js" "importer.js" "backup.js" "format.js" "schema.json" "content.js" "popup.html" "popup.js" "popup.css" "exporter.js" "data.html" "data.js" "data.css" "dashboard.html" "dashboard.js" "dashboard.css" "query.js" "overlap.js" "charts.js")
 
     for file in "${required_files[@]}"; do
         if [[ ! -f "$SCRIPT_DIR/$file" ]]; then
@@ -209,11 +209,28 @@ copy_extension_files() {
     local include_files=(
         "manifest.json"
         "background.js"
+        "db.js"
+        "migrations.js"
+        "normalizer.js"
+        "importer.js"
+        "backup.js"
+        "format.js"
+        "schema.json"
         "content.js"
         "injected.js"
         "popup.html"
         "popup.css"
         "popup.js"
+        "data.html"
+        "data.css"
+        "data.js"
+        "exporter.js"
+        "dashboard.html"
+        "dashboard.css"
+        "dashboard.js"
+        "query.js"
+        "overlap.js"
+        "charts.js"
         "privacy-policy.html"
         "LICENSE"
     )
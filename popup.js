@@ -8,6 +8,48 @@ document.addEventListener('DOMContentLoaded', async function() {
     const accountCountEl = document.getElementById('accountCount');
     const accountsListEl = document.getElementById('accountsList');
     const clearBtn = document.getElementById('clearBtn');
+    const dashboardBtn = document.getElementById('dashboardBtn');
+    const importBtn = document.getElementById('importBtn');
+    const { escapeHTML, formatFullNumber } = FollowSaverFormat;
+    
+    // Accounts are keyed by X user ID; handles are kept for display and file names
+    let accountHandles = {};
+    
+    // Name and owner of X List collections, keyed like accounts ("list:<id>")
+    let accountLists = {};
+    
+    // Author and follower engagement of post collections ("post:<id>")
+    let accountPosts = {};
+    
+    // CSV and JSON file helpers shared with the dashboard
+    const { getCanonicalProfiles, convertToCSV, convertToCSVSync, downloadCSVFile, downloadFile } = FollowSaverExporter;
+    
+    // Following should be ≤1.5× followers, so the followers/following ratio should be ≥0.67
+    const GOOD_RATIO = 1 / 1.5;
+
+    // Days suggested when switching an account from keeping users forever to archiving or deleting them
+    const DEFAULT_RETENTION_DAYS = 30;
+    
+    // Lists besides following/followers; their cards and export entries appear once something was collected
+    const EXTRA_LIST_TYPES = Object.keys(FollowSaverDB.LIST_TYPES).filter(listType =>
+        !FollowSaverDB.LIST_TYPES[listType].scope && !['following', 'followers'].includes(listType));
+
+    // Relationship breakdowns exported from an account card. List relationships compare the
+    // account's own following and followers lists; viewer relationships read the flags X sends
+    // for the logged-in account, so they work for accounts other than your own.
+    const RELATIONSHIPS = {
+        'not-following-back': { label: 'Not following back', description: 'users @{handle} follows who don\'t follow back' },
+        mutuals: { label: 'Mutuals', description: 'users who follow @{handle} and are followed back' },
+        fans: { label: 'Fans', description: 'users who follow @{handle} but aren\'t followed back' },
+        'you-follow': { label: 'You follow', description: 'users of @{handle}\'s lists you follow', viewerFlags: { viewerFollows: true } },
+        'follow-you': { label: 'Follow you', description: 'users of @{handle}\'s lists who follow you', viewerFlags: { followsViewer: true } },
+        'mutual-with-you': { label: 'Mutual with you', description: 'users of @{handle}\'s lists who follow you and are followed back', viewerFlags: { viewerFollows: true, followsViewer: true } }
+    };
+    const LIST_RELATIONSHIPS = Object.keys(RELATIONSHIPS).filter(relationship => !RELATIONSHIPS[relationship].viewerFlags);
+    const VIEWER_RELATIONSHIPS = Object.keys(RELATIONSHIPS).filter(relationship => RELATIONSHIPS[relationship].viewerFlags);
+    
+    // Exports read users through the canonical profile
+    await FollowSaverNormalizer.load(chrome.runtime.getURL('schema.json'));
     
     // Record that popup was viewed (clears notification badge)
     await chrome.runtime.sendMessage({ type: 'RECORD_VIEW_STATE' });
@@ -15,9 +57,27 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Load and display data
     await loadData();
 
+    // Remaining X request budget
+    await loadRateLimits();
+
+    // Warn when X's responses no longer match schema.json
+    await loadSchemaDrift();
+
+    // Warn when upgrading the stored data failed and the backup was restored
+    await loadMigrationStatus();
+
+    // Auto-collect controls for the active tab
+    await setupAutoCollect();
+
     // Clear functionality
     clearBtn.addEventListener('click', clearData);
 
+    // Every collected user in a full-page table
+    dashboardBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') }));
+
+    // Import, backup and restore run on the data page, since choosing a file closes the popup
+    importBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('data.html') }));
+
     // Close dropdowns when clicking outside
     document.addEventListener('click', closeAllDropdowns);
     
@@ -26,44 +86,29 @@ document.addEventListener('DOMContentLoaded', async function() {
             statusEl.textContent = 'Loading...';
             
             const response = await chrome.runtime.sendMessage({ type: 'GET_USER_DATA' });
-            const { userData, lastUpdated, viewingState } = response.data;
+            const { accounts: accountSummaries, lastUpdated } = response.data;
             
             // Calculate stats and new items
-            const accounts = Object.keys(userData);
+            const accounts = Object.keys(accountSummaries);
+            accountHandles = {};
+            accountLists = {};
+            accountPosts = {};
+            accounts.forEach(account => {
+                accountHandles[account] = accountSummaries[account].handle;
+                if (accountSummaries[account].list) accountLists[account] = accountSummaries[account].list;
+                if (accountSummaries[account].post) accountPosts[account] = accountSummaries[account].post;
+            });
             let totalFollowing = 0;
             let totalFollowers = 0;
             let newFollowing = 0;
             let newFollowers = 0;
             
-            const lastViewedTime = viewingState.lastViewedAt ? new Date(viewingState.lastViewedAt) : null;
-            
             accounts.forEach(account => {
-                if (userData[account].following) {
-                    const followingCount = Object.keys(userData[account].following).length;
-                    totalFollowing += followingCount;
-                    
-                    if (lastViewedTime) {
-                        Object.values(userData[account].following).forEach(user => {
-                            const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                            if (collectionTime > lastViewedTime) {
-                                newFollowing++;
-                            }
-                        });
-                    }
-                }
-                if (userData[account].followers) {
-                    const followersCount = Object.keys(userData[account].followers).length;
-                    totalFollowers += followersCount;
-                    
-                    if (lastViewedTime) {
-                        Object.values(userData[account].followers).forEach(user => {
-                            const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                            if (collectionTime > lastViewedTime) {
-                                newFollowers++;
-                            }
-                        });
-                    }
-                }
+                if (FollowSaverDB.getAccountScope(account)) return;
+                totalFollowing += accountSummaries[account].following.count;
+                totalFollowers += accountSummaries[account].followers.count;
+                newFollowing += accountSummaries[account].following.newCount;
+                newFollowers += accountSummaries[account].followers.newCount;
             });
             
             // Update UI with new item indicators
@@ -80,83 +125,93 @@ document.addEventListener('DOMContentLoaded', async function() {
             } else {
                 statusEl.textContent = 'Data collected';
                 
-                accounts.forEach(account => {
-                    const followingCount = userData[account].following ? Object.keys(userData[account].following).length : 0;
-                    const followersCount = userData[account].followers ? Object.keys(userData[account].followers).length : 0;
-                    
-                    // Calculate new items for this account
-                    let newFollowingForAccount = 0;
-                    let newFollowersForAccount = 0;
+                for (const account of accounts) {
+                    const listInfo = accountLists[account];
+                    const postInfo = accountPosts[account];
+                    const isCollection = Boolean(listInfo || postInfo);
+                    const followingCount = accountSummaries[account].following?.count || 0;
+                    const followersCount = accountSummaries[account].followers?.count || 0;
                     
-                    if (lastViewedTime) {
-                        if (userData[account].following) {
-                            Object.values(userData[account].following).forEach(user => {
-                                const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                                if (collectionTime > lastViewedTime) {
-                                    newFollowingForAccount++;
-                                }
-                            });
-                        }
-                        if (userData[account].followers) {
-                            Object.values(userData[account].followers).forEach(user => {
-                                const collectionTime = new Date(user.collectedAt || user.lastSeen);
-                                if (collectionTime > lastViewedTime) {
-                                    newFollowersForAccount++;
-                                }
-                            });
-                        }
-                    }
+                    // New items for this account
+                    const newFollowingForAccount = accountSummaries[account].following?.newCount || 0;
+                    const newFollowersForAccount = accountSummaries[account].followers?.newCount || 0;
+                    const hasNew = FollowSaverDB.getListTypes(account).some(listType => accountSummaries[account][listType].newCount > 0);
                     
                     const lastFollowingUpdate = lastUpdated[account]?.following ? new Date(lastUpdated[account].following).toLocaleDateString() : 'Never';
                     const lastFollowersUpdate = lastUpdated[account]?.followers ? new Date(lastUpdated[account].followers).toLocaleDateString() : 'Never';
                     
                     const accountEl = document.createElement('div');
-                    accountEl.className = 'account-item' + (newFollowingForAccount > 0 || newFollowersForAccount > 0 ? ' has-new' : '');
+                    accountEl.className = 'account-item' + (hasNew ? ' has-new' : '');
                     
                     const followingDisplay = formatFullNumber(followingCount) + (newFollowingForAccount > 0 ? ` <span class="new-count">(+${formatFullNumber(newFollowingForAccount)} new)</span>` : '');
                     const followersDisplay = formatFullNumber(followersCount) + (newFollowersForAccount > 0 ? ` <span class="new-count">(+${formatFullNumber(newFollowersForAccount)} new)</span>` : '');
 
                     // Calculate diff count for display
-                    const notFollowingBack = calculateNotFollowingBack(userData[account]);
-                    const diffCount = notFollowingBack.length;
                     const hasBothDataTypes = followingCount > 0 && followersCount > 0;
-
-                    // Calculate followers/following ratio
-                    const calculateRatio = (followers, following) => {
-                        if (following === 0) return followers > 0 ? '∞' : '0';
-                        return (followers / following).toFixed(2);
-                    };
-
-                    // Format ratio for display as "1:X"
-                    const formatRatioDisplay = (ratio) => {
-                        if (ratio === '∞') return '∞:1';
-                        if (ratio === '0') return '0:1';
-                        const numericRatio = parseFloat(ratio);
-                        if (numericRatio >= 1) {
-                            // When followers > following, show as "1:0.X"
-                            return `1:${(1/numericRatio).toFixed(1)}`;
-                        } else {
-                            // When followers < following, show as "1:X"
-                            return `1:${(1/numericRatio).toFixed(1)}`;
-                        }
-                    };
+                    const relationshipCounts = hasBothDataTypes ? await countListRelationships(account) : null;
+                    const diffCount = relationshipCounts?.['not-following-back'] || 0;
 
                     const ratio = hasBothDataTypes ? calculateRatio(followersCount, followingCount) : null;
                     const ratioDisplay = ratio ? formatRatioDisplay(ratio) : null;
-                    const isGoodRatio = ratio && ratio !== '∞' ? parseFloat(ratio) >= (1/1.5) : false; // Following should be ≤1.5× followers, so ratio should be ≥0.67
+                    const isGoodRatio = ratio && ratio !== '∞' ? parseFloat(ratio) >= GOOD_RATIO : false;
                     const ratioClass = isGoodRatio ? 'ratio-good' : 'ratio-bad';
 
+                    // Verified followers, followers you know and subscriptions, or the lists of an X List or post
+                    const extraLists = (isCollection ? FollowSaverDB.getListTypes(account) : EXTRA_LIST_TYPES).filter(listType => accountSummaries[account][listType]?.count > 0);
+                    const extraListStats = extraLists.map(listType => {
+                        const summary = accountSummaries[account][listType];
+                        const lastUpdate = lastUpdated[account]?.[listType] ? new Date(lastUpdated[account][listType]).toLocaleDateString() : 'Never';
+                        const newCount = summary.newCount > 0 ? ` <span class="new-count">(+${formatFullNumber(summary.newCount)} new)</span>` : '';
+                        return `${FollowSaverDB.LIST_TYPES[listType].label}: ${formatFullNumber(summary.count)}${newCount} (${lastUpdate})${formatPassStatus(summary)}`;
+                    }).join(' • ');
+                    const coreExportItems = format => isCollection ? '' : `
+                                    <button class="dropdown-item ${followingCount === 0 ? 'disabled' : ''}" data-export="following" data-format="${format}" ${followingCount === 0 ? 'disabled' : ''}>Following Only (${formatFullNumber(followingCount)})</button>
+                                    <button class="dropdown-item ${followersCount === 0 ? 'disabled' : ''}" data-export="followers" data-format="${format}" ${followersCount === 0 ? 'disabled' : ''}>Followers Only (${formatFullNumber(followersCount)})</button>`;
+                    const extraExportItems = format => extraLists.map(listType =>
+                        `<button class="dropdown-item" data-export="${listType}" data-format="${format}">${FollowSaverDB.LIST_TYPES[listType].label} Only (${formatFullNumber(accountSummaries[account][listType].count)})</button>`
+                    ).join('');
+
+                    // Users archived by the retention policy stay stored and exportable
+                    const archivedCount = FollowSaverDB.getListTypes(account).reduce((sum, listType) => sum + (accountSummaries[account][listType]?.archivedCount || 0), 0);
+                    const retention = accountSummaries[account].retention;
+
+                    let accountName = `@${escapeHTML(getAccountHandle(account))}`;
+                    let collectionStats = extraListStats;
+                    if (listInfo) {
+                        accountName = `<span class="list-tag">List</span> ${escapeHTML(listInfo.name || listInfo.id)}${listInfo.ownerHandle ? ` <span class="list-owner">by @${escapeHTML(listInfo.ownerHandle)}</span>` : ''}`;
+                    } else if (postInfo) {
+                        accountName = `<span class="list-tag">Post</span> ${escapeHTML(postInfo.id)}${postInfo.authorHandle ? ` <span class="list-owner">by @${escapeHTML(postInfo.authorHandle)}</span>` : ''}`;
+                        // Which of the author's collected followers engaged
+                        if (postInfo.followersEngaged !== null) {
+                            collectionStats += ` • <span class="diff-stat">From followers: <strong>${formatFullNumber(postInfo.followersEngaged)}</strong></span>`;
+                        }
+                    }
+
                     accountEl.innerHTML = `
                         <div class="account-info">
-                            <div class="account-name">@${account}${(newFollowingForAccount > 0 || newFollowersForAccount > 0) ? ' <span class="new-indicator">NEW</span>' : ''}</div>
+                            <div class="account-name">${accountName}${hasNew ? ' <span class="new-indicator">NEW</span>' : ''}</div>
+                            ${isCollection ? `<div class="account-stats">${collectionStats}</div>` : `
                             <div class="account-stats">
-                                Following: ${followingDisplay} (${lastFollowingUpdate}) •
-                                Followers: ${followersDisplay} (${lastFollowersUpdate})${hasBothDataTypes ? ` • <span class="${ratioClass}">Ratio: <strong>${ratioDisplay}</strong></span>` : ''}${hasBothDataTypes ? ` • <span class="diff-stat">Not following back: <strong>${formatFullNumber(diffCount)}</strong></span>` : ''}
+                                Following: ${followingDisplay} (${lastFollowingUpdate})${formatPassStatus(accountSummaries[account].following)} •
+                                Followers: ${followersDisplay} (${lastFollowersUpdate})${formatPassStatus(accountSummaries[account].followers)}${hasBothDataTypes ? ` • <span class="${ratioClass}">Ratio: <strong>${ratioDisplay}</strong></span>` : ''}${hasBothDataTypes ? ` • <span class="diff-stat">Not following back: <strong>${formatFullNumber(diffCount)}</strong></span> • <span class="mutual-stat">Mutuals: <strong>${formatFullNumber(relationshipCounts.mutuals)}</strong></span> • <span class="fan-stat">Fans: <strong>${formatFullNumber(relationshipCounts.fans)}</strong></span>` : ''}
+                            </div>
+                            ${extraListStats ? `<div class="account-stats account-extra-stats">${extraListStats}</div>` : ''}`}
+                            <div class="account-retention">
+                                Users not seen again:
+                                <select class="retention-mode" title="What happens to users that stop appearing in this account's lists">
+                                    <option value="keep" ${retention.mode === 'keep' ? 'selected' : ''}>keep forever</option>
+                                    <option value="archive" ${retention.mode === 'archive' ? 'selected' : ''}>archive after</option>
+                                    <option value="purge" ${retention.mode === 'purge' ? 'selected' : ''}>delete after</option>
+                                </select>
+                                <input type="number" class="retention-days" min="1" value="${retention.days || DEFAULT_RETENTION_DAYS}" ${retention.mode === 'keep' ? 'hidden' : ''}>
+                                <span class="retention-days-label" ${retention.mode === 'keep' ? 'hidden' : ''}>days</span>
+                                ${archivedCount > 0 ? ` • <span class="archived-count">No longer seen: <strong>${formatFullNumber(archivedCount)}</strong></span>` : ''}
                             </div>
+                            <div class="change-report"></div>
                         </div>
                         <div class="account-export-buttons">
                             <div class="btn-group">
-                                <button class="btn btn-small export-account-btn" data-account="${account}" title="Export all data (JSON)">
+                                <button class="btn btn-small export-account-btn" data-account="${escapeHTML(account)}" title="Export all data (JSON)">
                                     <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                                         <polyline points="7,10 12,15 17,10"/>
@@ -164,19 +219,19 @@ document.addEventListener('DOMContentLoaded', async function() {
                                     </svg>
                                     JSON
                                 </button>
-                                <button class="btn btn-small btn-dropdown export-json-dropdown" data-account="${account}" title="JSON export options">
+                                <button class="btn btn-small btn-dropdown export-json-dropdown" data-account="${escapeHTML(account)}" title="JSON export options">
                                     <svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <polyline points="6,9 12,15 18,9"></polyline>
                                     </svg>
                                 </button>
-                                <div class="dropdown-menu json-dropdown-menu" data-account="${account}">
+                                <div class="dropdown-menu json-dropdown-menu" data-account="${escapeHTML(account)}">
                                     <button class="dropdown-item" data-export="all" data-format="json">Export All</button>
-                                    <button class="dropdown-item ${followingCount === 0 ? 'disabled' : ''}" data-export="following" data-format="json" ${followingCount === 0 ? 'disabled' : ''}>Following Only (${formatFullNumber(followingCount)})</button>
-                                    <button class="dropdown-item ${followersCount === 0 ? 'disabled' : ''}" data-export="followers" data-format="json" ${followersCount === 0 ? 'disabled' : ''}>Followers Only (${formatFullNumber(followersCount)})</button>
+                                    ${coreExportItems('json')}
+                                    ${extraExportItems('json')}
                                 </div>
                             </div>
                             <div class="btn-group">
-                                <button class="btn btn-small export-account-csv-btn" data-account="${account}" title="Export all data (CSV)">
+                                <button class="btn btn-small export-account-csv-btn" data-account="${escapeHTML(account)}" title="Export all data (CSV)">
                                     <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                                         <polyline points="7,10 12,15 17,10"/>
@@ -184,28 +239,69 @@ document.addEventListener('DOMContentLoaded', async function() {
                                     </svg>
                                     CSV
                                 </button>
-                                <button class="btn btn-small btn-dropdown export-csv-dropdown" data-account="${account}" title="CSV export options">
+                                <button class="btn btn-small btn-dropdown export-csv-dropdown" data-account="${escapeHTML(account)}" title="CSV export options">
                                     <svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <polyline points="6,9 12,15 18,9"></polyline>
                                     </svg>
                                 </button>
-                                <div class="dropdown-menu csv-dropdown-menu" data-account="${account}">
+                                <div class="dropdown-menu csv-dropdown-menu" data-account="${escapeHTML(account)}">
                                     <button class="dropdown-item" data-export="all" data-format="csv">Export All</button>
-                                    <button class="dropdown-item ${followingCount === 0 ? 'disabled' : ''}" data-export="following" data-format="csv" ${followingCount === 0 ? 'disabled' : ''}>Following Only (${formatFullNumber(followingCount)})</button>
-                                    <button class="dropdown-item ${followersCount === 0 ? 'disabled' : ''}" data-export="followers" data-format="csv" ${followersCount === 0 ? 'disabled' : ''}>Followers Only (${formatFullNumber(followersCount)})</button>
+                                    ${coreExportItems('csv')}
+                                    ${extraExportItems('csv')}
+                                </div>
+                            </div>
+                            ${isCollection ? '' : `
+                            <div class="btn-group">
+                                <button class="btn btn-small btn-diff export-diff-btn" data-account="${escapeHTML(account)}" title="Export users you follow who don't follow back" ${diffCount > 0 ? '' : 'disabled'}>
+                                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                        <polyline points="7,10 12,15 17,10"/>
+                                        <line x1="12" y1="15" x2="12" y2="3"/>
+                                    </svg>
+                                    Diff
+                                </button>
+                                <button class="btn btn-small btn-dropdown btn-diff-dropdown export-diff-dropdown" data-account="${escapeHTML(account)}" title="Mutuals, fans and relationships with you (CSV)">
+                                    <svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <polyline points="6,9 12,15 18,9"></polyline>
+                                    </svg>
+                                </button>
+                                <div class="dropdown-menu diff-dropdown-menu" data-account="${escapeHTML(account)}">
+                                    ${LIST_RELATIONSHIPS.map(relationship => {
+                                        const count = relationshipCounts?.[relationship] || 0;
+                                        return `<button class="dropdown-item ${count === 0 ? 'disabled' : ''}" data-relationship="${relationship}" ${count === 0 ? 'disabled' : ''}>${RELATIONSHIPS[relationship].label} (${formatFullNumber(count)})</button>`;
+                                    }).join('')}
+                                    <div class="dropdown-label">Relative to the logged-in account</div>
+                                    ${VIEWER_RELATIONSHIPS.map(relationship =>
+                                        `<button class="dropdown-item" data-relationship="${relationship}">${RELATIONSHIPS[relationship].label} <span class="relationship-count"></span></button>`
+                                    ).join('')}
                                 </div>
                             </div>
-                            ${hasBothDataTypes && diffCount > 0 ? `
-                            <button class="btn btn-small btn-diff export-diff-btn" data-account="${account}" title="Export users you follow who don't follow back">
+                            `}
+                            <button class="btn btn-small btn-secondary snapshots-btn" data-account="${escapeHTML(account)}" title="List, open, compare and delete dated snapshots">
                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                                    <polyline points="7,10 12,15 17,10"/>
-                                    <line x1="12" y1="15" x2="12" y2="3"/>
+                                    <circle cx="12" cy="12" r="10"/>
+                                    <polyline points="12,6 12,12 16,14"/>
                                 </svg>
-                                Diff
+                                Snapshots
+                            </button>
+                            <button class="btn btn-small btn-secondary history-btn" data-account="${escapeHTML(account)}" title="Show profile changes of collected users">
+                                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M12 20h9"/>
+                                    <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+                                </svg>
+                                History
+                            </button>
+                            <button class="btn btn-small btn-secondary growth-btn" data-account="${escapeHTML(account)}" title="Chart list sizes, gains and losses per collection pass">
+                                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="3,17 9,11 13,15 21,7"/>
+                                    <polyline points="15,7 21,7 21,13"/>
+                                </svg>
+                                Growth
                             </button>
-                            ` : ''}
                         </div>
+                        <div class="snapshot-panel" data-account="${escapeHTML(account)}"></div>
+                        <div class="history-panel" data-account="${escapeHTML(account)}"></div>
+                        <div class="growth-panel" data-account="${escapeHTML(account)}"></div>
                     `;
                     
                     accountsListEl.appendChild(accountEl);
@@ -224,8 +320,8 @@ document.addEventListener('DOMContentLoaded', async function() {
                     const csvDropdownMenu = accountEl.querySelector('.csv-dropdown-menu');
 
                     // Main export button events (export all)
-                    exportAccountBtn.addEventListener('click', () => exportAccountData(account, userData[account], 'all'));
-                    exportAccountCSVBtn.addEventListener('click', () => exportAccountDataAsCSV(account, userData[account], 'all'));
+                    exportAccountBtn.addEventListener('click', async () => exportAccountData(account, await loadAccountData(account), 'all'));
+                    exportAccountCSVBtn.addEventListener('click', async () => exportAccountDataAsCSV(account, await loadAccountData(account), 'all'));
 
                     // Dropdown toggle events
                     jsonDropdownBtn.addEventListener('click', (e) => {
@@ -243,28 +339,92 @@ document.addEventListener('DOMContentLoaded', async function() {
                     });
 
                     // Dropdown item events
-                    jsonDropdownMenu.addEventListener('click', (e) => {
+                    jsonDropdownMenu.addEventListener('click', async (e) => {
                         if (e.target.classList.contains('dropdown-item') && !e.target.disabled) {
                             const exportType = e.target.dataset.export;
-                            exportAccountData(account, userData[account], exportType);
+                            exportAccountData(account, await loadAccountData(account), exportType);
                             jsonDropdownMenu.classList.remove('show');
                             updateAccountsListOverflow();
                         }
                     });
 
-                    csvDropdownMenu.addEventListener('click', (e) => {
+                    csvDropdownMenu.addEventListener('click', async (e) => {
                         if (e.target.classList.contains('dropdown-item') && !e.target.disabled) {
                             const exportType = e.target.dataset.export;
-                            exportAccountDataAsCSV(account, userData[account], exportType);
+                            exportAccountDataAsCSV(account, await loadAccountData(account), exportType);
                             csvDropdownMenu.classList.remove('show');
                             updateAccountsListOverflow();
                         }
                     });
 
                     if (exportDiffBtn) {
-                        exportDiffBtn.addEventListener('click', () => exportDiffAsCSV(account, userData[account]));
+                        const diffDropdownBtn = accountEl.querySelector('.export-diff-dropdown');
+                        const diffDropdownMenu = accountEl.querySelector('.diff-dropdown-menu');
+
+                        exportDiffBtn.addEventListener('click', async () => exportDiffAsCSV(account, await loadAccountData(account)));
+
+                        // Viewer relationship counts need every profile, so they load when the menu first opens
+                        diffDropdownBtn.addEventListener('click', async (e) => {
+                            e.stopPropagation();
+                            closeAllDropdowns();
+                            diffDropdownMenu.classList.toggle('show');
+                            updateAccountsListOverflow();
+
+                            if (diffDropdownMenu.dataset.viewerCounted) return;
+                            diffDropdownMenu.dataset.viewerCounted = 'true';
+                            const accountData = await loadAccountData(account);
+                            diffDropdownMenu.querySelectorAll('.relationship-count').forEach(countEl => {
+                                const relationship = countEl.parentElement.dataset.relationship;
+                                countEl.textContent = `(${formatFullNumber(calculateRelationship(accountData, relationship).length)})`;
+                            });
+                        });
+
+                        diffDropdownMenu.addEventListener('click', async (e) => {
+                            const itemEl = e.target.closest('.dropdown-item');
+                            if (itemEl && !itemEl.disabled) {
+                                exportDiffAsCSV(account, await loadAccountData(account), itemEl.dataset.relationship);
+                                diffDropdownMenu.classList.remove('show');
+                                updateAccountsListOverflow();
+                            }
+                        });
                     }
-                });
+
+                    // Snapshot panel toggle
+                    const snapshotsBtn = accountEl.querySelector('.snapshots-btn');
+                    const snapshotPanel = accountEl.querySelector('.snapshot-panel');
+                    snapshotsBtn.addEventListener('click', () => toggleSnapshotPanel(account, snapshotPanel));
+
+                    // Profile history panel toggle
+                    const historyBtn = accountEl.querySelector('.history-btn');
+                    const historyPanel = accountEl.querySelector('.history-panel');
+                    historyBtn.addEventListener('click', () => toggleHistoryPanel(account, historyPanel));
+
+                    // Growth charts toggle
+                    const growthBtn = accountEl.querySelector('.growth-btn');
+                    const growthPanel = accountEl.querySelector('.growth-panel');
+                    growthBtn.addEventListener('click', () => toggleGrowthPanel(account, growthPanel));
+
+                    // Retention policy changes apply right away
+                    const retentionModeEl = accountEl.querySelector('.retention-mode');
+                    const retentionDaysEl = accountEl.querySelector('.retention-days');
+                    const saveRetention = async () => {
+                        const mode = retentionModeEl.value;
+                        const days = parseInt(retentionDaysEl.value, 10);
+                        if (mode !== 'keep' && !(days > 0)) return;
+                        if (mode === 'purge' && !confirm(`Permanently delete users of @${getAccountHandle(account)} not seen for ${days} days? Export first if you may need them.`)) {
+                            retentionModeEl.value = retention.mode;
+                            return;
+                        }
+
+                        await chrome.runtime.sendMessage({ type: 'SET_RETENTION_POLICY', account, policy: { mode, days } });
+                        await loadData();
+                    };
+                    retentionModeEl.addEventListener('change', saveRetention);
+                    retentionDaysEl.addEventListener('change', saveRetention);
+
+                    // Changes between the two latest passes load after the card is shown
+                    renderChangeReport(account, accountEl.querySelector('.change-report'));
+                }
             }
             
         } catch (error) {
@@ -274,63 +434,52 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
     
     
-    function downloadFile(data, filename) {
-        const jsonStr = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        
-        URL.revokeObjectURL(url);
-    }
-    
-    function exportAccountData(accountName, accountData, dataType = 'all') {
+    async function exportAccountData(accountName, accountData, dataType = 'all') {
         try {
-            const followingCount = accountData.following ? Object.keys(accountData.following).length : 0;
-            const followersCount = accountData.followers ? Object.keys(accountData.followers).length : 0;
-
+            const accountHandle = getAccountHandle(accountName);
             const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-            let filesCreated = 0;
 
-            // Export following data if requested and exists
-            if ((dataType === 'all' || dataType === 'following') && followingCount > 0) {
-                const followingRawData = {};
-                Object.keys(accountData.following).forEach(userId => {
-                    followingRawData[userId] = accountData.following[userId].rawData;
+            // Profile change logs are exported alongside the users they belong to
+            const { history } = await chrome.runtime.sendMessage({ type: 'GET_PROFILE_HISTORY', account: accountName });
+            const pickHistory = userIds => {
+                const picked = {};
+                userIds.forEach(userId => {
+                    if (history[userId]) picked[userId] = history[userId].changes;
                 });
-
-                const followingExportObj = {
-                    exportDate: new Date().toISOString(),
-                    exportType: 'raw-following',
-                    account: accountName,
-                    totalUsers: followingCount,
-                    accounts: { [accountName]: followingRawData }
-                };
-
-                downloadFile(followingExportObj, `x-following-${accountName}-${timestamp}.json`);
-                filesCreated++;
-            }
-
-            // Export followers data if requested and exists
-            if ((dataType === 'all' || dataType === 'followers') && followersCount > 0) {
-                const followersRawData = {};
-                Object.keys(accountData.followers).forEach(userId => {
-                    followersRawData[userId] = accountData.followers[userId].rawData;
+                return picked;
+            };
+
+            // One file per requested list that has data
+            for (const listType of FollowSaverDB.getListTypes(accountName)) {
+                const users = accountData[listType] || {};
+                const userIds = Object.keys(users);
+                if ((dataType !== 'all' && dataType !== listType) || userIds.length === 0) continue;
+
+                const rawData = {};
+                const noLongerSeen = {};
+                userIds.forEach(userId => {
+                    rawData[userId] = users[userId].rawData;
+                    if (users[userId].archivedAt) {
+                        noLongerSeen[userId] = { lastSeen: users[userId].lastSeen, archivedAt: users[userId].archivedAt };
+                    }
                 });
 
-                const followersExportObj = {
+                const exportObj = {
                     exportDate: new Date().toISOString(),
-                    exportType: 'raw-followers',
-                    account: accountName,
-                    totalUsers: followersCount,
-                    accounts: { [accountName]: followersRawData }
+                    exportType: `raw-${listType}`,
+                    account: accountHandle,
+                    accountId: accountName,
+                    ...(accountLists[accountName] ? { list: accountLists[accountName] } : {}),
+                    ...(accountPosts[accountName] ? { post: accountPosts[accountName] } : {}),
+                    totalUsers: userIds.length,
+                    schemaVersion: FollowSaverNormalizer.getVersion(),
+                    accounts: { [accountHandle]: rawData },
+                    profiles: getCanonicalProfiles(rawData),
+                    noLongerSeen: noLongerSeen,
+                    profileHistory: pickHistory(userIds)
                 };
 
-                downloadFile(followersExportObj, `x-followers-${accountName}-${timestamp}.json`);
-                filesCreated++;
+                downloadFile(exportObj, `x-${listType}-${accountHandle}-${timestamp}.json`);
             }
 
         } catch (error) {
@@ -363,69 +512,43 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     async function exportAccountDataAsCSV(accountName, accountData, dataType = 'all') {
         try {
-            const followingCount = accountData.following ? Object.keys(accountData.following).length : 0;
-            const followersCount = accountData.followers ? Object.keys(accountData.followers).length : 0;
-
+            const accountHandle = getAccountHandle(accountName);
             const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            const listTypes = FollowSaverDB.getListTypes(accountName);
             let filesCreated = 0;
 
-            // Debug: Show the first user's complete data structure
-            if (followingCount > 0) {
-                const firstUserId = Object.keys(accountData.following)[0];
-                const firstUser = accountData.following[firstUserId];
-                console.log('FollowSaver Debug: First user complete raw data:', JSON.stringify(firstUser.rawData, null, 2));
-            } else if (followersCount > 0) {
-                const firstUserId = Object.keys(accountData.followers)[0];
-                const firstUser = accountData.followers[firstUserId];
-                console.log('FollowSaver Debug: First user complete raw data:', JSON.stringify(firstUser.rawData, null, 2));
-            }
+            // One file per requested list that has data
+            for (const listType of listTypes) {
+                const users = accountData[listType] || {};
+                if ((dataType !== 'all' && dataType !== listType) || Object.keys(users).length === 0) continue;
 
-            // Export following data if requested and exists
-            if ((dataType === 'all' || dataType === 'following') && followingCount > 0) {
-                const followingUsers = [];
-                Object.keys(accountData.following).forEach(userId => {
-                    const userEntry = accountData.following[userId];
-                    const extractedFields = extractUserFields(
+                const listUsers = [];
+                Object.keys(users).forEach(userId => {
+                    const userEntry = users[userId];
+                    const extractedFields = FollowSaverNormalizer.extractUserFields(
                         userEntry.rawData,
-                        accountName,
-                        'following',
+                        accountHandle,
+                        listType,
                         userEntry.collectedAt || userEntry.lastSeen
                     );
-                    followingUsers.push(extractedFields);
+                    listUsers.push({
+                        ...extractedFields,
+                        firstSeen: userEntry.firstSeen || '',
+                        lastSeen: userEntry.lastSeen || '',
+                        noLongerSeenSince: userEntry.archivedAt || ''
+                    });
                 });
 
                 // Debug: Show first extracted user data
-                if (followingUsers.length > 0) {
-                    console.log('FollowSaver Debug: First extracted user fields:', followingUsers[0]);
+                if (filesCreated === 0) {
+                    console.log('FollowSaver Debug: First extracted user fields:', listUsers[0]);
                 }
 
                 // Use async version for large datasets, sync for small ones
-                const csvContent = followingUsers.length > 500
-                    ? await convertToCSV(followingUsers)
-                    : convertToCSVSync(followingUsers);
-                downloadCSVFile(csvContent, `x-following-${accountName}-${timestamp}.csv`);
-                filesCreated++;
-            }
-
-            // Export followers data if requested and exists
-            if ((dataType === 'all' || dataType === 'followers') && followersCount > 0) {
-                const followersUsers = [];
-                Object.keys(accountData.followers).forEach(userId => {
-                    const userEntry = accountData.followers[userId];
-                    const extractedFields = extractUserFields(
-                        userEntry.rawData,
-                        accountName,
-                        'followers',
-                        userEntry.collectedAt || userEntry.lastSeen
-                    );
-                    followersUsers.push(extractedFields);
-                });
-
-                // Use async version for large datasets, sync for small ones
-                const csvContent = followersUsers.length > 500
-                    ? await convertToCSV(followersUsers)
-                    : convertToCSVSync(followersUsers);
-                downloadCSVFile(csvContent, `x-followers-${accountName}-${timestamp}.csv`);
+                const csvContent = listUsers.length > 500
+                    ? await convertToCSV(listUsers)
+                    : convertToCSVSync(listUsers);
+                downloadCSVFile(csvContent, `x-${listType}-${accountHandle}-${timestamp}.csv`);
                 filesCreated++;
             }
 
@@ -435,29 +558,93 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
     
     
-    // Calculate users you follow who don't follow back
-    function calculateNotFollowingBack(accountData) {
+    // Read every list of an account straight from IndexedDB when an export needs them
+    async function loadAccountData(accountName) {
+        return FollowSaverDB.getAccountData(accountName);
+    }
+
+    // Not following back, mutuals and fans of an account, counted from the stored IDs only
+    async function countListRelationships(accountName) {
+        const [followingIds, followerIds] = await Promise.all([
+            FollowSaverDB.getUserIds(accountName, 'following'),
+            FollowSaverDB.getUserIds(accountName, 'followers')
+        ]);
+        const followerIdSet = new Set(followerIds);
+        const mutuals = followingIds.filter(userId => followerIdSet.has(userId)).length;
+        return {
+            'not-following-back': followingIds.length - mutuals,
+            mutuals: mutuals,
+            fans: followerIds.length - mutuals
+        };
+    }
+
+    // Flags X sends about the logged-in account for a user; profiles stored before the flags were
+    // part of the canonical profile are read from the raw data
+    function getViewerFlags(user) {
+        const profile = user.profile && 'viewerFollows' in user.profile
+            ? user.profile
+            : FollowSaverNormalizer.normalize(user.rawData || {}).profile;
+        return { viewerFollows: profile.viewerFollows === true, followsViewer: profile.followsViewer === true };
+    }
+
+    // Users of an account in one of the RELATIONSHIPS
+    function calculateRelationship(accountData, relationship) {
         const following = accountData.following || {};
         const followers = accountData.followers || {};
+        const toEntry = user => ({
+            userId: user.id,
+            rawData: user.rawData,
+            collectedAt: user.collectedAt || user.lastSeen
+        });
 
-        const followingIds = new Set(Object.keys(following));
-        const followerIds = new Set(Object.keys(followers));
+        const { viewerFlags } = RELATIONSHIPS[relationship];
+        if (viewerFlags) {
+            // Each user once, whichever of the account's lists they are on
+            const users = new Map();
+            Object.values(accountData).forEach(list => {
+                Object.values(list).forEach(user => {
+                    if (users.has(user.id)) return;
+                    const flags = getViewerFlags(user);
+                    if (Object.keys(viewerFlags).every(flag => flags[flag] === viewerFlags[flag])) {
+                        users.set(user.id, toEntry(user));
+                    }
+                });
+            });
+            return Array.from(users.values());
+        }
 
-        const notFollowingBack = [];
+        let related;
+        if (relationship === 'not-following-back') {
+            related = Object.values(following).filter(user => !followers[user.id]);
+        } else if (relationship === 'mutuals') {
+            related = Object.values(following).filter(user => followers[user.id]);
+        } else {
+            related = Object.values(followers).filter(user => !following[user.id]);
+        }
 
-        followingIds.forEach(userId => {
-            if (!followerIds.has(userId)) {
-                notFollowingBack.push({
-                    userId,
-                    rawData: following[userId].rawData,
-                    collectedAt: following[userId].collectedAt || following[userId].lastSeen
-                });
-            }
-        });
+        console.log(`FollowSaver Diff: Following ${Object.keys(following).length}, Followers ${Object.keys(followers).length}, ${RELATIONSHIPS[relationship].label}: ${related.length}`);
 
-        console.log(`FollowSaver Diff: Following ${followingIds.size}, Followers ${followerIds.size}, Not following back: ${notFollowingBack.length}`);
+        return related.map(toEntry);
+    }
 
-        return notFollowingBack;
+    // Calculate followers/following ratio
+    function calculateRatio(followers, following) {
+        if (following === 0) return followers > 0 ? '∞' : '0';
+        return (followers / following).toFixed(2);
+    }
+
+    // Format ratio for display as "1:X"
+    function formatRatioDisplay(ratio) {
+        if (ratio === '∞') return '∞:1';
+        if (ratio === '0') return '0:1';
+        const numericRatio = parseFloat(ratio);
+        if (numericRatio >= 1) {
+            // When followers > following, show as "1:0.X"
+            return `1:${(1/numericRatio).toFixed(1)}`;
+        } else {
+            // When followers < following, show as "1:X"
+            return `1:${(1/numericRatio).toFixed(1)}`;
+        }
     }
 
     // Number Formatting Helper (abbreviated for badges)
@@ -471,260 +658,635 @@ document.addEventListener('DOMContentLoaded', async function() {
         return num.toString();
     }
 
-    // Full Number Formatting Helper (with comma separators for popup display)
-    function formatFullNumber(num) {
-        return num.toLocaleString();
+    async function exportDiffAsCSV(accountName, accountData, relationship = 'not-following-back') {
+        try {
+            const accountHandle = getAccountHandle(accountName);
+            const relatedUsers = calculateRelationship(accountData, relationship);
+
+            if (relatedUsers.length === 0) {
+                alert(relationship === 'not-following-back'
+                    ? `Great news! All users that @${accountHandle} follows are following back, or you haven't collected both following and followers data yet.`
+                    : `No ${RELATIONSHIPS[relationship].description.replace('{handle}', accountHandle)} were found in the collected data.`);
+                return;
+            }
+
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+            // Convert to CSV format with profile links
+            const diffUsers = relatedUsers.map(user => {
+                const extractedFields = FollowSaverNormalizer.extractUserFields(
+                    user.rawData,
+                    accountHandle,
+                    relationship,
+                    user.collectedAt
+                );
+
+                // Add profile link as first column
+                return {
+                    profileLink: `https://x.com/${extractedFields.username}`,
+                    ...extractedFields
+                };
+            });
+
+            const csvContent = diffUsers.length > 500
+                ? await convertToCSV(diffUsers)
+                : convertToCSVSync(diffUsers);
+
+            downloadCSVFile(csvContent, `x-${relationship}-${accountHandle}-${timestamp}.csv`);
+
+        } catch (error) {
+            console.error('Error exporting diff CSV data:', error);
+            alert('Error exporting diff data. Please try again.');
+        }
     }
-    
-    // CSV Export Helper Functions with security hardening
-    function sanitizeCSVField(field) {
-        if (field === null || field === undefined) return '';
-        let str = String(field);
-        
-        // Prevent CSV injection attacks by escaping formula indicators
-        // Check for formula injection patterns at the start of the field
-        const formulaIndicators = ['=', '+', '-', '@', '\t', '\r'];
-        if (formulaIndicators.some(indicator => str.startsWith(indicator))) {
-            // Prefix with single quote to prevent formula execution
-            str = "'" + str;
+
+    async function toggleSnapshotPanel(accountName, panelEl) {
+        if (panelEl.classList.contains('show')) {
+            panelEl.classList.remove('show');
+            return;
+        }
+        await renderSnapshotPanel(accountName, panelEl);
+        panelEl.classList.add('show');
+    }
+
+    async function renderSnapshotPanel(accountName, panelEl) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SNAPSHOTS', account: accountName });
+            const snapshots = response.snapshots || [];
+
+            if (snapshots.length === 0) {
+                panelEl.innerHTML = '<div class="snapshot-empty">No snapshots yet. Each visit to a following or followers page is saved as one.</div>';
+                return;
+            }
+
+            panelEl.innerHTML = `
+                <div class="snapshot-list">
+                    ${snapshots.map(snapshot => `
+                    <div class="snapshot-row">
+                        <label class="snapshot-label">
+                            <input type="checkbox" class="snapshot-select" value="${escapeHTML(snapshot.id)}" data-list-type="${escapeHTML(snapshot.listType)}">
+                            <span class="snapshot-type">${escapeHTML(FollowSaverDB.LIST_TYPES[snapshot.listType]?.label || snapshot.listType)}</span>
+                            ${formatDateTime(snapshot.startedAt)} • ${formatFullNumber(snapshot.userCount)}
+                            <span class="${snapshot.complete ? 'snapshot-complete' : 'snapshot-partial'}">${snapshot.complete ? 'complete' : 'partial'}</span>
+                        </label>
+                        ${snapshot.diagnostics ? `<button class="snapshot-action" data-action="diagnostics" data-id="${escapeHTML(snapshot.id)}" title="Show what each intercepted response contained">Diagnostics</button>` : ''}
+                        <button class="snapshot-action" data-action="open" data-id="${escapeHTML(snapshot.id)}" title="Export snapshot (JSON)">Open</button>
+                        <button class="snapshot-action" data-action="delete" data-id="${escapeHTML(snapshot.id)}" title="Delete snapshot">Delete</button>
+                    </div>
+                    ${snapshot.diagnostics ? `<div class="snapshot-diagnostics" data-id="${escapeHTML(snapshot.id)}">${renderDiagnostics(snapshot.diagnostics)}</div>` : ''}
+                    `).join('')}
+                </div>
+                <div class="snapshot-compare">
+                    <button class="btn btn-small btn-secondary snapshot-compare-btn" disabled>Compare selected</button>
+                    <div class="snapshot-compare-result"></div>
+                </div>
+            `;
+
+            const compareBtn = panelEl.querySelector('.snapshot-compare-btn');
+            const compareResultEl = panelEl.querySelector('.snapshot-compare-result');
+
+            // Comparing only makes sense for exactly two snapshots of the same list
+            panelEl.querySelectorAll('.snapshot-select').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    const selected = [...panelEl.querySelectorAll('.snapshot-select:checked')];
+                    compareBtn.disabled = selected.length !== 2 ||
+                        selected[0].dataset.listType !== selected[1].dataset.listType;
+                });
+            });
+
+            compareBtn.addEventListener('click', async () => {
+                const [baseId, targetId] = [...panelEl.querySelectorAll('.snapshot-select:checked')].map(el => el.value);
+                const { comparison } = await chrome.runtime.sendMessage({ type: 'COMPARE_SNAPSHOTS', baseId, targetId });
+
+                if (!comparison) {
+                    compareResultEl.textContent = 'Could not compare these snapshots';
+                    return;
+                }
+
+                compareResultEl.innerHTML = `
+                    ${formatDateTime(comparison.base.startedAt)} → ${formatDateTime(comparison.target.startedAt)}:
+                    <span class="snapshot-added">+${formatFullNumber(comparison.added.length)}</span>
+                    <span class="snapshot-removed">−${formatFullNumber(comparison.removed.length)}</span>
+                    <button class="snapshot-action" data-format="csv">CSV</button>
+                    <button class="snapshot-action" data-format="json">JSON</button>
+                `;
+
+                compareResultEl.querySelectorAll('[data-format]').forEach(button => {
+                    button.addEventListener('click', () => exportChangeReport(accountName, [comparison], button.dataset.format));
+                });
+            });
+
+            panelEl.querySelectorAll('.snapshot-action').forEach(button => {
+                button.addEventListener('click', async () => {
+                    const snapshotId = button.dataset.id;
+
+                    if (button.dataset.action === 'diagnostics') {
+                        [...panelEl.querySelectorAll('.snapshot-diagnostics')]
+                            .find(diagnosticsEl => diagnosticsEl.dataset.id === snapshotId)
+                            .classList.toggle('show');
+                    } else if (button.dataset.action === 'open') {
+                        await exportSnapshot(snapshotId);
+                    } else if (button.dataset.action === 'delete') {
+                        if (!confirm('Delete this snapshot? Collected profiles are kept.')) return;
+                        await chrome.runtime.sendMessage({ type: 'DELETE_SNAPSHOT', snapshotId });
+                        await renderSnapshotPanel(accountName, panelEl);
+                    }
+                });
+            });
+
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            panelEl.innerHTML = '<div class="snapshot-empty">Error loading snapshots</div>';
         }
-        
-        // Also check for formulas that might start with whitespace
-        const trimmedStr = str.trim();
-        if (trimmedStr !== str && formulaIndicators.some(indicator => trimmedStr.startsWith(indicator))) {
-            str = "'" + str;
+    }
+
+    // Totals and per-response counters of a collection pass: entries seen, users found and stored,
+    // and why entries were skipped
+    function renderDiagnostics(diagnostics) {
+        const responses = diagnostics.responses || [];
+        const formatCounts = counts => Object.entries(counts || {})
+            .map(([key, count]) => `${escapeHTML(key)}: ${formatFullNumber(count)}`)
+            .join(', ') || 'none';
+        const sumCounts = key => {
+            const totals = {};
+            responses.forEach(response => {
+                Object.entries(response[key] || {}).forEach(([name, count]) => {
+                    totals[name] = (totals[name] || 0) + count;
+                });
+            });
+            return totals;
+        };
+
+        const entriesSeen = responses.reduce((sum, response) => sum + (response.entriesSeen || 0), 0);
+        const usersFound = responses.reduce((sum, response) => sum + (response.usersFound || 0), 0);
+        const usersStored = responses.reduce((sum, response) => sum + (response.usersStored || 0), 0);
+
+        return `
+            <div class="diagnostics-summary">
+                ${formatFullNumber(responses.length)} responses • ${formatFullNumber(entriesSeen)} entries •
+                ${formatFullNumber(usersFound)} users found • ${formatFullNumber(usersStored)} stored
+                ${usersStored < usersFound ? `<span class="snapshot-removed">(${formatFullNumber(usersFound - usersStored)} not stored)</span>` : ''}
+            </div>
+            <div class="diagnostics-summary">Skipped: ${formatCounts(sumCounts('skipped'))}</div>
+            <div class="diagnostics-summary">Instructions: ${formatCounts(sumCounts('instructions'))}</div>
+            <table class="diagnostics-table">
+                <tr><th>Received</th><th>Entries</th><th>Found</th><th>Stored</th><th>Skipped</th></tr>
+                ${responses.map(response => `
+                <tr class="${response.usersStored < response.usersFound ? 'diagnostics-warning' : ''}">
+                    <td>${response.receivedAt ? new Date(response.receivedAt).toLocaleTimeString() : '?'}</td>
+                    <td>${formatFullNumber(response.entriesSeen || 0)}</td>
+                    <td>${formatFullNumber(response.usersFound || 0)}</td>
+                    <td>${formatFullNumber(response.usersStored || 0)}</td>
+                    <td>${formatCounts(response.skipped)}</td>
+                </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    async function exportSnapshot(snapshotId) {
+        try {
+            const { snapshot } = await chrome.runtime.sendMessage({ type: 'GET_SNAPSHOT', snapshotId });
+            if (!snapshot) return;
+
+            const { users, userIds, ...meta } = snapshot;
+            const accountHandle = getAccountHandle(snapshot.account);
+            const timestamp = new Date(snapshot.startedAt).toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+            downloadFile({
+                exportDate: new Date().toISOString(),
+                exportType: `snapshot-${snapshot.listType}`,
+                account: accountHandle,
+                accountId: snapshot.account,
+                snapshot: meta,
+                totalUsers: userIds.length,
+                schemaVersion: FollowSaverNormalizer.getVersion(),
+                accounts: { [accountHandle]: users },
+                profiles: getCanonicalProfiles(users)
+            }, `x-${snapshot.listType}-snapshot-${accountHandle}-${timestamp}.json`);
+
+        } catch (error) {
+            console.error('Error exporting snapshot:', error);
         }
-        
-        // Standard CSV escaping for quotes and special characters
-        if (str.includes('"')) {
-            return '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    async function renderChangeReport(accountName, reportEl) {
+        try {
+            const { report } = await chrome.runtime.sendMessage({ type: 'GET_CHANGE_REPORT', account: accountName });
+            const comparisons = [report.followers, report.following].filter(Boolean);
+
+            if (comparisons.length === 0) return;
+
+            const parts = [];
+            if (report.followers) {
+                parts.push(`<span class="snapshot-added">+${formatFullNumber(report.followers.added.length)} new followers</span>`);
+                parts.push(`<span class="snapshot-removed">−${formatFullNumber(report.followers.removed.length)} unfollowed</span>`);
+            }
+            if (report.following) {
+                parts.push(`<span class="snapshot-added">+${formatFullNumber(report.following.added.length)} followed</span>`);
+                parts.push(`<span class="snapshot-removed">−${formatFullNumber(report.following.removed.length)} left following</span>`);
+            }
+
+            reportEl.innerHTML = `
+                Since last pass: ${parts.join(' • ')}
+                <button class="snapshot-action" data-format="csv" title="Export changes (CSV)">CSV</button>
+                <button class="snapshot-action" data-format="json" title="Export changes (JSON)">JSON</button>
+            `;
+
+            reportEl.querySelectorAll('[data-format]').forEach(button => {
+                button.addEventListener('click', () => exportChangeReport(accountName, comparisons, button.dataset.format));
+            });
+
+        } catch (error) {
+            console.error('Error loading change report:', error);
         }
-        if (str.includes(',') || str.includes('\n') || str.includes('\r')) {
-            return '"' + str + '"';
+    }
+
+    // Human-readable names for the fields tracked in profile history
+    const PROFILE_FIELD_LABELS = {
+        handle: 'Handle',
+        displayName: 'Name',
+        bio: 'Bio',
+        location: 'Location',
+        url: 'Website',
+        avatar: 'Avatar'
+    };
+
+    async function toggleHistoryPanel(accountName, panelEl) {
+        if (panelEl.classList.contains('show')) {
+            panelEl.classList.remove('show');
+            return;
         }
-        
-        // Additional safety: limit field length to prevent massive fields
-        const MAX_FIELD_LENGTH = 10000;
-        if (str.length > MAX_FIELD_LENGTH) {
-            console.warn(`X Collector: CSV field truncated from ${str.length} to ${MAX_FIELD_LENGTH} characters`);
-            str = str.substring(0, MAX_FIELD_LENGTH) + '...';
+
+        try {
+            const { history } = await chrome.runtime.sendMessage({ type: 'GET_PROFILE_HISTORY', account: accountName });
+            const entries = Object.entries(history)
+                .map(([userId, entry]) => ({ userId, ...entry }))
+                .sort((a, b) => b.changes[b.changes.length - 1].changedAt.localeCompare(a.changes[a.changes.length - 1].changedAt));
+
+            panelEl.innerHTML = entries.length === 0
+                ? '<div class="snapshot-empty">No profile changes recorded yet</div>'
+                : `<div class="history-list">${entries.map(renderHistoryEntry).join('')}</div>`;
+
+        } catch (error) {
+            console.error('Error loading profile history:', error);
+            panelEl.innerHTML = '<div class="snapshot-empty">Error loading profile history</div>';
         }
-        
-        return str;
+
+        panelEl.classList.add('show');
     }
-    
-    function extractUserFields(rawData, accountName, dataType, collectedAt) {
-        // Handle different possible data structures
-        const legacy = rawData.legacy || {};
-        const core = rawData.core || {};
-        const userResults = rawData.user_results?.result || {};
-
-        // Debug logging to see the actual data structure (only for first few entries)
-        if (Math.random() < 0.1) { // Log 10% of entries to avoid spam
-            console.log('FollowSaver Debug: Raw data structure:', {
-                hasLegacy: !!rawData.legacy,
-                hasCore: !!rawData.core,
-                hasUserResults: !!rawData.user_results,
-                topLevelKeys: Object.keys(rawData),
-                legacyKeys: rawData.legacy ? Object.keys(rawData.legacy) : [],
-                sampleData: {
-                    rest_id: rawData.rest_id,
-                    screen_name: legacy.screen_name || core.user_results?.result?.legacy?.screen_name,
-                    name: legacy.name || core.user_results?.result?.legacy?.name,
-                    location: legacy.location || core.user_results?.result?.legacy?.location,
-                    profile_image_url_https: legacy.profile_image_url_https || core.user_results?.result?.legacy?.profile_image_url_https,
-                    created_at: legacy.created_at || core.user_results?.result?.legacy?.created_at
-                }
-            });
+
+    async function toggleGrowthPanel(accountName, panelEl) {
+        if (panelEl.classList.contains('show')) {
+            panelEl.classList.remove('show');
+            return;
         }
 
-        // Try multiple possible paths for each field with more robust extraction
-        const extractField = (possibleFieldNames, fallbackValue = '') => {
-            const fieldNames = Array.isArray(possibleFieldNames) ? possibleFieldNames : [possibleFieldNames];
+        try {
+            const { passCounts } = await chrome.runtime.sendMessage({ type: 'GET_PASS_COUNTS', account: accountName });
+            panelEl.innerHTML = renderGrowthCharts(accountName, passCounts);
+        } catch (error) {
+            console.error('Error loading pass counts:', error);
+            panelEl.innerHTML = '<div class="snapshot-empty">Error loading growth charts</div>';
+        }
 
-            for (const fieldName of fieldNames) {
-                // Try top-level rawData first (some fields like location are here)
-                if (rawData[fieldName] !== undefined && rawData[fieldName] !== null && rawData[fieldName] !== '') {
-                    return rawData[fieldName];
-                }
+        panelEl.classList.add('show');
+    }
 
-                // Try legacy object
-                if (legacy[fieldName] !== undefined && legacy[fieldName] !== null && legacy[fieldName] !== '') {
-                    return legacy[fieldName];
-                }
+    // Total, gains and losses per pass for each list, then the followers/following ratio over time
+    function renderGrowthCharts(accountName, passCounts) {
+        const listTypes = FollowSaverDB.getListTypes(accountName).filter(listType => passCounts[listType]?.length > 0);
+        if (listTypes.length === 0) {
+            return '<div class="snapshot-empty">No collection passes recorded yet</div>';
+        }
 
-                // Try core.user_results.result.legacy path
-                if (core.user_results?.result?.legacy?.[fieldName] !== undefined &&
-                    core.user_results?.result?.legacy?.[fieldName] !== null &&
-                    core.user_results?.result?.legacy?.[fieldName] !== '') {
-                    return core.user_results.result.legacy[fieldName];
-                }
+        const toTime = entry => new Date(entry.recordedAt).getTime();
+        const sections = listTypes.map(listType => {
+            const entries = passCounts[listType];
+            const label = FollowSaverDB.LIST_TYPES[listType].label;
+            const totals = FollowSaverCharts.lineChart({
+                series: [
+                    { label: `${label} (X's count)`, color: '#1da1f2', points: entries.filter(entry => entry.reported !== null).map(entry => ({ time: toTime(entry), value: entry.reported })) },
+                    { label: `${label} (collected, complete passes)`, color: '#794bc4', points: entries.filter(entry => entry.complete).map(entry => ({ time: toTime(entry), value: entry.seen })) }
+                ],
+                formatValue: formatNumber
+            });
+            const gainsAndLosses = FollowSaverCharts.gainLossChart({
+                passes: entries.map(entry => ({ time: toTime(entry), gained: entry.gained, lost: entry.lost })),
+                formatValue: formatFullNumber
+            });
 
-                // Try userResults path
-                if (userResults.legacy?.[fieldName] !== undefined &&
-                    userResults.legacy?.[fieldName] !== null &&
-                    userResults.legacy?.[fieldName] !== '') {
-                    return userResults.legacy[fieldName];
-                }
+            return `
+                <div class="growth-section">
+                    <div class="growth-title">${label}: total</div>
+                    ${totals || '<div class="snapshot-empty">No complete pass or count from X yet</div>'}
+                    <div class="growth-title">${label}: gains and losses per pass</div>
+                    ${gainsAndLosses}
+                </div>
+            `;
+        });
 
-                // Try core object itself
-                if (core[fieldName] !== undefined && core[fieldName] !== null && core[fieldName] !== '') {
-                    return core[fieldName];
-                }
+        // The ratio at each pass uses the latest total of both lists known by then
+        if (passCounts.followers?.length > 0 && passCounts.following?.length > 0) {
+            const getTotal = entry => entry.reported ?? (entry.complete ? entry.seen : null);
+            const latestTotals = { followers: null, following: null };
+            const points = [];
+            [...passCounts.followers.map(entry => ({ listType: 'followers', entry })), ...passCounts.following.map(entry => ({ listType: 'following', entry }))]
+                .sort((a, b) => toTime(a.entry) - toTime(b.entry))
+                .forEach(({ listType, entry }) => {
+                    latestTotals[listType] = getTotal(entry) ?? latestTotals[listType];
+                    if (latestTotals.followers !== null && latestTotals.following) {
+                        points.push({ time: toTime(entry), value: Number(calculateRatio(latestTotals.followers, latestTotals.following)) });
+                    }
+                });
 
-                // Try professional object
-                if (rawData.professional?.[fieldName] !== undefined && rawData.professional?.[fieldName] !== null && rawData.professional?.[fieldName] !== '') {
-                    return rawData.professional[fieldName];
-                }
+            if (points.length > 0) {
+                sections.push(`
+                    <div class="growth-section">
+                        <div class="growth-title">Followers/following ratio (now ${formatRatioDisplay(points[points.length - 1].value.toFixed(2))})</div>
+                        ${FollowSaverCharts.lineChart({
+                            series: [{ label: 'Followers per following', color: '#27ae60', points }],
+                            formatValue: value => value.toFixed(2),
+                            guide: { value: GOOD_RATIO, label: 'Following at most 1.5× followers' }
+                        })}
+                    </div>
+                `);
             }
+        }
 
-            return fallbackValue;
-        };
+        return sections.join('');
+    }
+
+    function renderHistoryEntry(entry) {
+        const changes = [...entry.changes].reverse().map(change => `
+            <div class="history-change">
+                <span class="history-date">${formatDateTime(change.changedAt)}</span>
+                ${Object.entries(change.changes).map(([field, { from, to }]) => `
+                <div class="history-field">
+                    <strong>${escapeHTML(PROFILE_FIELD_LABELS[field] || field)}:</strong>
+                    <span class="history-from">${escapeHTML(from)}</span> → <span class="history-to">${escapeHTML(to)}</span>
+                </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        return `
+            <div class="history-entry">
+                <div class="history-user">@${escapeHTML(entry.current.handle || entry.userId)}</div>
+                ${changes}
+            </div>
+        `;
+    }
+
+    // Label each added or removed user by what the change means for its list
+    function getChangeType(listType, direction) {
+        if (listType === 'followers') {
+            return direction === 'added' ? 'new-follower' : 'unfollowed';
+        }
+        return direction === 'added' ? 'new-following' : 'left-following';
+    }
 
-        // Handle special cases for complex fields
-        const extractLocation = () => {
-            const locationField = extractField(['location']);
-            if (typeof locationField === 'string') {
-                return locationField;
-            } else if (typeof locationField === 'object' && locationField !== null) {
-                // Twitter's location object has a 'location' property inside it
-                return locationField.location ||
-                       locationField.full_name ||
-                       locationField.name ||
-                       locationField.display_name ||
-                       locationField.country ||
-                       locationField.locality ||
-                       '';
+    async function exportChangeReport(accountName, comparisons, format) {
+        try {
+            const accountHandle = getAccountHandle(accountName);
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+            if (format === 'json') {
+                const toUserMap = entries => {
+                    const users = {};
+                    entries.forEach(entry => {
+                        users[entry.userId] = entry.rawData;
+                    });
+                    return users;
+                };
+
+                downloadFile({
+                    exportDate: new Date().toISOString(),
+                    exportType: 'changes',
+                    account: accountHandle,
+                    accountId: accountName,
+                    schemaVersion: FollowSaverNormalizer.getVersion(),
+                    changes: comparisons.map(comparison => {
+                        const added = toUserMap(comparison.added);
+                        const removed = toUserMap(comparison.removed);
+                        return {
+                            listType: comparison.listType,
+                            base: comparison.base,
+                            target: comparison.target,
+                            added,
+                            removed,
+                            profiles: getCanonicalProfiles({ ...added, ...removed })
+                        };
+                    })
+                }, `x-changes-${accountHandle}-${timestamp}.json`);
+                return;
             }
-            return '';
-        };
 
-        const extractProfileImage = () => {
-            // Try legacy first, then other paths
-            return legacy.profile_image_url_https ||
-                   legacy.profile_image_url ||
-                   rawData.avatar?.url ||
-                   rawData.avatar?.image_url ||
-                   extractField(['profile_image_url_https', 'profile_image_url', 'avatar_url', 'image_url']);
-        };
+            // Convert to CSV format with profile links and the kind of change
+            const changeRows = [];
+            comparisons.forEach(comparison => {
+                ['added', 'removed'].forEach(direction => {
+                    comparison[direction].forEach(user => {
+                        const extractedFields = FollowSaverNormalizer.extractUserFields(
+                            user.rawData || { rest_id: user.userId },
+                            accountHandle,
+                            comparison.listType,
+                            user.collectedAt
+                        );
+
+                        changeRows.push({
+                            profileLink: extractedFields.username ? `https://x.com/${extractedFields.username}` : '',
+                            change: getChangeType(comparison.listType, direction),
+                            changedBetween: `${comparison.base.startedAt} / ${comparison.target.startedAt}`,
+                            ...extractedFields
+                        });
+                    });
+                });
+            });
 
-        return {
-            userId: rawData.rest_id || userResults.rest_id || '',
-            username: extractField(['screen_name', 'username', 'handle']),
-            displayName: extractField(['name', 'display_name', 'displayName', 'full_name']),
-            bio: extractField(['description', 'bio']),
-            location: extractLocation(),
-            website: extractField(['url', 'website', 'entities.url.urls[0].expanded_url']),
-            followersCount: extractField(['followers_count', 'public_metrics.followers_count'], 0),
-            followingCount: extractField(['friends_count', 'following_count', 'public_metrics.following_count'], 0),
-            tweetsCount: extractField(['statuses_count', 'tweet_count', 'public_metrics.tweet_count'], 0),
-            listedCount: extractField(['listed_count', 'public_metrics.listed_count'], 0),
-            verified: extractField(['verified', 'is_verified'], false),
-            protected: extractField(['protected', 'is_protected'], false),
-            profileImageUrl: extractProfileImage(),
-            profileBannerUrl: extractField(['profile_banner_url', 'header_url']),
-            createdAt: extractField(['created_at', 'account_created_at']),
-            accountType: dataType,
-            sourceAccount: accountName,
-            collectionDate: collectedAt || ''
-        };
-    }
-    
-    // Optimized CSV conversion with chunking to prevent UI blocking
-    async function convertToCSV(data) {
-        if (!data.length) return '';
-        
-        const headers = Object.keys(data[0]);
-        const csvHeaders = headers.map(sanitizeCSVField).join(',');
-        
-        // Process data in chunks to avoid blocking the UI
-        const CHUNK_SIZE = 100;
-        const csvRows = [];
-        
-        for (let i = 0; i < data.length; i += CHUNK_SIZE) {
-            const chunk = data.slice(i, Math.min(i + CHUNK_SIZE, data.length));
-            
-            // Process chunk
-            const chunkRows = chunk.map(row => 
-                headers.map(header => sanitizeCSVField(row[header])).join(',')
-            );
-            
-            csvRows.push(...chunkRows);
-            
-            // Yield control back to the browser every chunk to prevent blocking
-            if (i + CHUNK_SIZE < data.length) {
-                await new Promise(resolve => setTimeout(resolve, 0));
+            if (changeRows.length === 0) {
+                alert(`No changes for @${accountHandle} between these collection passes.`);
+                return;
             }
+
+            const csvContent = changeRows.length > 500
+                ? await convertToCSV(changeRows)
+                : convertToCSVSync(changeRows);
+
+            downloadCSVFile(csvContent, `x-changes-${accountHandle}-${timestamp}.csv`);
+
+        } catch (error) {
+            console.error('Error exporting change report:', error);
+            alert('Error exporting changes. Please try again.');
         }
-        
-        return csvHeaders + '\n' + csvRows.join('\n');
     }
-    
-    // Legacy synchronous version for small datasets
-    function convertToCSVSync(data) {
-        if (!data.length) return '';
-        
-        const headers = Object.keys(data[0]);
-        const csvHeaders = headers.map(sanitizeCSVField).join(',');
-        
-        const csvRows = data.map(row => 
-            headers.map(header => sanitizeCSVField(row[header])).join(',')
-        );
-        
-        return csvHeaders + '\n' + csvRows.join('\n');
+
+    // Completeness of the latest collection pass of a list: "complete" or "partial (N of ~M)"
+    function formatPassStatus(listSummary) {
+        const pass = listSummary.latestPass;
+        if (!pass) return '';
+
+        if (pass.complete) {
+            return ` <span class="snapshot-complete" title="Read to the end on ${formatDateTime(pass.completedAt)}">complete</span>`;
+        }
+
+        const expected = listSummary.expectedCount ? ` of ~${formatFullNumber(listSummary.expectedCount)}` : '';
+        return ` <span class="snapshot-partial">partial (${formatFullNumber(pass.userCount)}${expected})</span>`;
     }
-    
-    function downloadCSVFile(csvContent, filename) {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
+    // Display handle of an account key (falls back to the key itself)
+    function getAccountHandle(account) {
+        return accountHandles[account] || account;
+    }
 
-        URL.revokeObjectURL(url);
+    // Date and time formatting for snapshot listings
+    function formatDateTime(isoString) {
+        const date = new Date(isoString);
+        return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
     }
 
-    async function exportDiffAsCSV(accountName, accountData) {
+    async function loadRateLimits() {
+        const rateLimitEl = document.getElementById('rateLimit');
+
         try {
-            const notFollowingBack = calculateNotFollowingBack(accountData);
+            const { rateLimits } = await chrome.runtime.sendMessage({ type: 'GET_RATE_LIMITS' });
 
-            if (notFollowingBack.length === 0) {
-                alert(`Great news! All users that @${accountName} follows are following back, or you haven't collected both following and followers data yet.`);
-                return;
-            }
+            rateLimitEl.innerHTML = Object.values(rateLimits).map(rateLimit => {
+                const resetTime = rateLimit.resetAt ? new Date(rateLimit.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'unknown';
+                if (rateLimit.limited) {
+                    return `<div class="rate-limited">${escapeHTML(rateLimit.endpoint)}: rate limited until ${resetTime}</div>`;
+                }
+                const budget = rateLimit.limit !== null ? `${rateLimit.remaining}/${rateLimit.limit}` : rateLimit.remaining;
+                return `<div>${escapeHTML(rateLimit.endpoint)}: ${budget} requests left, resets ${resetTime}</div>`;
+            }).join('');
 
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+        } catch (error) {
+            console.error('Error loading rate limits:', error);
+        }
+    }
 
-            // Convert to CSV format with profile links
-            const diffUsers = notFollowingBack.map(user => {
-                const extractedFields = extractUserFields(
-                    user.rawData,
-                    accountName,
-                    'not-following-back',
-                    user.collectedAt
-                );
+    // Paths that appeared or went missing since the warning was last dismissed
+    async function loadSchemaDrift() {
+        const schemaDriftEl = document.getElementById('schemaDrift');
 
-                // Add profile link as first column
-                return {
-                    profileLink: `https://x.com/${extractedFields.username}`,
-                    ...extractedFields
-                };
+        try {
+            const { schemaDrift } = await chrome.runtime.sendMessage({ type: 'GET_SCHEMA_DRIFT' });
+            if (!schemaDrift) return;
+
+            const dismissedAt = schemaDrift.dismissedAt || '';
+            const unknownPaths = Object.keys(schemaDrift.unknownPaths).filter(path => schemaDrift.unknownPaths[path].firstSeenAt > dismissedAt);
+            const missingPaths = Object.keys(schemaDrift.missingPaths).filter(path => schemaDrift.missingPaths[path].lastSeenAt > dismissedAt);
+            if (unknownPaths.length === 0 && missingPaths.length === 0) return;
+
+            const MAX_LISTED_PATHS = 10;
+            const listPaths = (label, paths) => paths.length === 0 ? '' : `
+                <div class="schema-drift-paths">
+                    <strong>${label} (${paths.length}):</strong>
+                    ${paths.slice(0, MAX_LISTED_PATHS).map(path => `<code>${escapeHTML(path)}</code>`).join(' ')}${paths.length > MAX_LISTED_PATHS ? ' …' : ''}
+                </div>
+            `;
+
+            schemaDriftEl.innerHTML = `
+                <div class="schema-drift-title">X changed its API</div>
+                <div>Recent responses no longer match the expected profile layout${missingPaths.length > 0 ? ', so some exported fields may be empty' : ''}.</div>
+                ${listPaths('Missing fields', missingPaths)}
+                ${listPaths('Unknown fields', unknownPaths)}
+                <button class="btn btn-small btn-secondary" id="schemaDriftDismiss">Dismiss</button>
+            `;
+            schemaDriftEl.classList.add('show');
+
+            document.getElementById('schemaDriftDismiss').addEventListener('click', async () => {
+                await chrome.runtime.sendMessage({ type: 'DISMISS_SCHEMA_DRIFT' });
+                schemaDriftEl.classList.remove('show');
             });
+        } catch (error) {
+            console.error('Error loading schema drift:', error);
+        }
+    }
 
-            const csvContent = diffUsers.length > 500
-                ? await convertToCSV(diffUsers)
-                : convertToCSVSync(diffUsers);
-
-            downloadCSVFile(csvContent, `x-not-following-back-${accountName}-${timestamp}.csv`);
+    async function loadMigrationStatus() {
+        const migrationStatusEl = document.getElementById('migrationStatus');
 
+        try {
+            const { migrationStatus } = await chrome.runtime.sendMessage({ type: 'GET_MIGRATION_STATUS' });
+            if (!migrationStatus?.failed) return;
+
+            migrationStatusEl.innerHTML = `
+                <div class="schema-drift-title">Stored data could not be upgraded</div>
+                <div>Upgrading to storage version ${migrationStatus.failedVersion} failed (${escapeHTML(migrationStatus.error)}). ${migrationStatus.backupId
+                    ? 'Your data was restored from the backup taken before the upgrade.'
+                    : 'No backup could be taken, so your data was left as it was.'} Export it before collecting more; the upgrade is retried when the extension restarts.</div>
+            `;
+            migrationStatusEl.classList.add('show');
         } catch (error) {
-            console.error('Error exporting diff CSV data:', error);
-            alert('Error exporting diff data. Please try again.');
+            console.error('Error loading migration status:', error);
         }
     }
 
+    async function setupAutoCollect() {
+        const autoCollectEl = document.getElementById('autoCollect');
+        const statusTextEl = document.getElementById('autoCollectStatus');
+        const buttons = {
+            start: document.getElementById('autoCollectStart'),
+            pause: document.getElementById('autoCollectPause'),
+            resume: document.getElementById('autoCollectResume'),
+            stop: document.getElementById('autoCollectStop')
+        };
+
+        // Only list pages can be auto-collected
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!FollowSaverDB.parseCollectionUrl(tab?.url)) return;
+
+        const sendAction = async (action) => {
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { type: 'AUTO_COLLECT', action });
+                return response?.autoCollect || null;
+            } catch (error) {
+                // Content script not loaded yet (e.g. page opened before the extension was installed)
+                return null;
+            }
+        };
+
+        const render = (status) => {
+            if (!status) {
+                autoCollectEl.classList.remove('show');
+                return;
+            }
+
+            const stopReasons = {
+                complete: 'Reached the end of the list',
+                idle: 'Stopped: no new users for a while',
+                user: 'Stopped',
+                navigation: 'Stopped: left the list'
+            };
+            const users = formatFullNumber(status.usersCollected);
+            const statusTexts = {
+                idle: 'Scroll this list automatically',
+                running: `Collecting… ${users} users`,
+                waiting: `Rate limited: waiting until ${status.waitingUntil ? new Date(status.waitingUntil).toLocaleTimeString() : 'reset'} (${users} users)`,
+                paused: `Paused at ${users} users`,
+                stopped: `${stopReasons[status.reason] || 'Stopped'} (${users} users)`
+            };
+
+            statusTextEl.textContent = statusTexts[status.state];
+            const active = ['running', 'waiting', 'paused'].includes(status.state);
+            buttons.start.hidden = active;
+            buttons.pause.hidden = status.state !== 'running' && status.state !== 'waiting';
+            buttons.resume.hidden = status.state !== 'paused';
+            buttons.stop.hidden = !active;
+            autoCollectEl.classList.add('show');
+        };
+
+        Object.entries(buttons).forEach(([action, button]) => {
+            button.addEventListener('click', async () => render(await sendAction(action)));
+        });
+
+        render(await sendAction('status'));
+
+        // Keep progress current while the popup is open
+        setInterval(async () => render(await sendAction('status')), 1000);
+    }
+
     // Helper function to close all dropdown menus
     function closeAllDropdowns() {
         const allDropdowns = document.querySelectorAll('.dropdown-menu.show');
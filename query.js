@@ -0,0 +1,244 @@
+// ABOUTME: Query language for filtering collected users by the export fields, e.g. followers > 10k AND bio contains "founder"
+// ABOUTME: Parses conditions joined with AND, OR, NOT and parentheses into a predicate over dashboard rows
+
+const FollowSaverQuery = (function() {
+    'use strict';
+
+    // Queryable fields: the export columns of extractUserFields plus the dashboard's edge times and
+    // relationship flag. Aliases are the short names accepted in queries.
+    const FIELDS = {
+        username: { label: 'Handle', type: 'text', aliases: ['handle'], handle: true },
+        displayName: { label: 'Name', type: 'text', aliases: ['name'] },
+        bio: { label: 'Bio', type: 'text', aliases: [] },
+        location: { label: 'Location', type: 'text', aliases: [] },
+        website: { label: 'Website', type: 'text', aliases: ['url'] },
+        followersCount: { label: 'Followers', type: 'number', aliases: ['followers'] },
+        followingCount: { label: 'Following', type: 'number', aliases: ['following'] },
+        tweetsCount: { label: 'Posts', type: 'number', aliases: ['posts', 'tweets'] },
+        listedCount: { label: 'Listed', type: 'number', aliases: ['listed'] },
+        verified: { label: 'Verified', type: 'boolean', aliases: [] },
+        protected: { label: 'Protected', type: 'boolean', aliases: [] },
+        mutual: { label: 'Mutual (follows and is followed by the account)', type: 'boolean', aliases: [] },
+        createdAt: { label: 'Joined X', type: 'date', aliases: ['joined'] },
+        accountType: { label: 'List', type: 'text', aliases: ['list'] },
+        sourceAccount: { label: 'Account', type: 'text', aliases: ['account'], handle: true },
+        firstSeen: { label: 'First seen', type: 'date', aliases: [] },
+        lastSeen: { label: 'Last seen', type: 'date', aliases: [] },
+        noLongerSeenSince: { label: 'No longer seen since', type: 'date', aliases: ['archived'] },
+        userId: { label: 'User ID', type: 'text', aliases: ['id'] }
+    };
+
+    // Operators allowed per field type; "contains" and "excludes" are spelled ~ and !~ too
+    const OPERATORS = {
+        text: ['=', '!=', '~', '!~'],
+        number: ['=', '!=', '>', '>=', '<', '<='],
+        boolean: ['=', '!='],
+        date: ['=', '!=', '>', '>=', '<', '<=']
+    };
+
+    const WORD_OPERATORS = { contains: '~', excludes: '!~' };
+
+    const TOKEN_PATTERN = /\s*(?:(\()|(\))|(>=|<=|!=|!~|=|>|<|~)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()"'=<>!~]+))/y;
+
+    // Field name (or alias) as written in a query, resolved to its field key
+    function resolveField(name) {
+        const lowerName = name.toLowerCase();
+        return Object.keys(FIELDS).find(key =>
+            key.toLowerCase() === lowerName || FIELDS[key].aliases.includes(lowerName)) || null;
+    }
+
+    function tokenize(text) {
+        const tokens = [];
+        TOKEN_PATTERN.lastIndex = 0;
+
+        while (TOKEN_PATTERN.lastIndex < text.length) {
+            const position = TOKEN_PATTERN.lastIndex;
+            const match = TOKEN_PATTERN.exec(text);
+            if (!match) {
+                const rest = text.slice(position);
+                if (rest.trim() === '') break;
+                const offset = position + rest.length - rest.trimStart().length;
+                throw new Error(/["']/.test(text[offset]) ? `Unclosed quote at position ${offset + 1}` : `Unexpected "${text[offset]}" at position ${offset + 1}`);
+            }
+
+            const [, open, close, operator, doubleQuoted, singleQuoted, word] = match;
+            if (open) tokens.push({ kind: '(', position });
+            else if (close) tokens.push({ kind: ')', position });
+            else if (operator) tokens.push({ kind: 'operator', value: operator, position });
+            else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+                tokens.push({ kind: 'value', value: (doubleQuoted ?? singleQuoted).replace(/\\(.)/g, '$1'), quoted: true, position });
+            } else {
+                tokens.push({ kind: 'word', value: word, position });
+            }
+        }
+
+        return tokens;
+    }
+
+    // Numbers may use k and m suffixes: 10k, 1.5m
+    function parseNumber(value) {
+        const match = String(value).trim().toLowerCase().match(/^(-?\d+(?:\.\d+)?)([km]?)$/);
+        if (!match) return null;
+        return Number(match[1]) * (match[2] === 'k' ? 1e3 : match[2] === 'm' ? 1e6 : 1);
+    }
+
+    function parseBoolean(value) {
+        const lowerValue = String(value).toLowerCase();
+        if (['true', 'yes'].includes(lowerValue)) return true;
+        if (['false', 'no'].includes(lowerValue)) return false;
+        return null;
+    }
+
+    // Dates accept anything Date.parse reads, including a bare year ("2015" is 1 January 2015)
+    function parseDate(value) {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    function normalizeText(value, field) {
+        const text = String(value ?? '').toLowerCase();
+        return FIELDS[field].handle ? text.replace(/^@/, '') : text;
+    }
+
+    // Parse query text into a tree of { and: [...] }, { or: [...] }, { not: node } and
+    // { field, operator, value } nodes; an empty query matches everything
+    function parse(text) {
+        const tokens = tokenize(text || '');
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isKeyword = (token, keyword) => token?.kind === 'word' && token.value.toUpperCase() === keyword;
+        const fail = (message, token) => {
+            throw new Error(token ? `${message} at position ${token.position + 1}` : `${message} at the end of the query`);
+        };
+
+        function parseOr() {
+            const nodes = [parseAnd()];
+            while (isKeyword(peek(), 'OR')) {
+                index++;
+                nodes.push(parseAnd());
+            }
+            return nodes.length === 1 ? nodes[0] : { or: nodes };
+        }
+
+        function parseAnd() {
+            const nodes = [parseUnary()];
+            while (isKeyword(peek(), 'AND')) {
+                index++;
+                nodes.push(parseUnary());
+            }
+            return nodes.length === 1 ? nodes[0] : { and: nodes };
+        }
+
+        function parseUnary() {
+            const token = peek();
+            if (isKeyword(token, 'NOT')) {
+                index++;
+                return { not: parseUnary() };
+            }
+            if (token?.kind === '(') {
+                index++;
+                const node = parseOr();
+                if (peek()?.kind !== ')') fail('Expected ")"', peek());
+                index++;
+                return node;
+            }
+            return parseCondition();
+        }
+
+        function parseCondition() {
+            const fieldToken = peek();
+            if (fieldToken?.kind !== 'word') fail('Expected a field name', fieldToken);
+            const field = resolveField(fieldToken.value);
+            if (!field) fail(`Unknown field "${fieldToken.value}"`, fieldToken);
+            index++;
+
+            const operatorToken = peek();
+            const operator = operatorToken?.kind === 'operator' ? operatorToken.value
+                : operatorToken?.kind === 'word' ? WORD_OPERATORS[operatorToken.value.toLowerCase()] : null;
+            if (!operator) fail(`Expected an operator after "${fieldToken.value}"`, operatorToken);
+            const { type } = FIELDS[field];
+            if (!OPERATORS[type].includes(operator)) fail(`"${operatorToken.value}" does not apply to ${type} field "${fieldToken.value}"`, operatorToken);
+            index++;
+
+            const valueToken = peek();
+            if (valueToken?.kind !== 'value' && valueToken?.kind !== 'word') fail(`Expected a value for "${fieldToken.value}"`, valueToken);
+            index++;
+
+            const parsers = { number: parseNumber, boolean: parseBoolean, date: parseDate, text: value => value };
+            const value = parsers[type](valueToken.value);
+            if (value === null) fail(`"${valueToken.value}" is not a ${type}`, valueToken);
+
+            return { field, operator, value };
+        }
+
+        if (tokens.length === 0) return null;
+        const tree = parseOr();
+        if (index < tokens.length) fail(`Unexpected "${tokens[index].value || tokens[index].kind}"`, tokens[index]);
+        return tree;
+    }
+
+    function compare(left, operator, right) {
+        switch (operator) {
+        case '=': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        default: return false;
+        }
+    }
+
+    function matchCondition(row, { field, operator, value }) {
+        const { type } = FIELDS[field];
+
+        if (type === 'text') {
+            const rowText = normalizeText(row[field], field);
+            const queryText = normalizeText(value, field);
+            if (operator === '~') return rowText.includes(queryText);
+            if (operator === '!~') return !rowText.includes(queryText);
+            return compare(rowText, operator, queryText);
+        }
+        if (type === 'number') return compare(Number(row[field]) || 0, operator, value);
+        if (type === 'boolean') return compare(Boolean(row[field]), operator, value);
+
+        // Dates compare by day for = and !=; rows without the date never match
+        const rowTime = parseDate(row[field]);
+        if (rowTime === null) return false;
+        if (operator === '=' || operator === '!=') {
+            const sameDay = new Date(rowTime).toISOString().slice(0, 10) === new Date(value).toISOString().slice(0, 10);
+            return operator === '=' ? sameDay : !sameDay;
+        }
+        return compare(rowTime, operator, value);
+    }
+
+    function matches(row, node) {
+        if (!node) return true;
+        if (node.and) return node.and.every(child => matches(row, child));
+        if (node.or) return node.or.some(child => matches(row, child));
+        if (node.not) return !matches(row, node.not);
+        return matchCondition(row, node);
+    }
+
+    // Predicate for query text; throws with the position of the first problem
+    function compile(text) {
+        const tree = parse(text);
+        return row => matches(row, tree);
+    }
+
+    // One condition as query text, quoting values that are not a single plain word
+    function formatCondition(field, operator, value) {
+        const text = String(value);
+        const needsQuotes = text === '' || /[\s()"'=<>!~]/.test(text) || /^(and|or|not)$/i.test(text);
+        return `${field} ${operator} ${needsQuotes ? `"${text.replace(/["\\]/g, '\\$&')}"` : text}`;
+    }
+
+    return {
+        FIELDS,
+        OPERATORS,
+        parse,
+        compile,
+        formatCondition
+    };
+})();